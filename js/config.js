@@ -15,23 +15,77 @@
  * @constant {Object}
  */
 const PHYSICS_CONFIG = {
-    /** Gravity multiplier applied to IMU input */
-    gravityMultiplier: 0.8,
+    /** Length of one physics step in seconds */
+    timeStep: 1 / 120,
 
-    /** Friction applied each frame (velocity *= friction) */
-    friction: 0.97,
+    /** Most physics steps per frame; longer frames lose the rest of their time */
+    maxSubsteps: 8,
+
+    /** Constant downward gravity in pixels per second squared */
+    gravity: 432,
+
+    /** Acceleration in pixels per second squared at full IMU input */
+    gravityMultiplier: 2880,
+
+    /** Rolling resistance as the velocity decay rate per second (velocity *= e^(-damping * t)) */
+    damping: 1.83,
+
+    /** Sliding friction: deceleration in pixels per second squared while the ball skids */
+    slidingFriction: 600,
+
+    /** Moment of inertia over mass times radius squared (2/5 for a solid ball) */
+    inertiaFactor: 0.4,
+
+    /** Friction coefficient between ball and walls, trading speed for spin */
+    wallFriction: 0.2,
+
+    /** Decay rate per second of spin about the vertical axis */
+    spinDamping: 2,
 
     /** Ball radius in pixels */
     ballRadius: 10,
 
-    /** Maximum velocity to prevent tunneling */
-    maxVelocity: 12,
+    /** Wall broadphase bucket size in ball radii (about one maze cell) */
+    wallGridCellSize: 3,
 
-    /** Bounce factor when hitting walls (0-1) */
-    bounceFactor: 0.3,
+    /** Maximum velocity in pixels per second */
+    maxVelocity: 720,
 
-    /** Minimum velocity threshold to stop jittering */
-    velocityThreshold: 0.01
+    /** Most wall contacts resolved along one step's movement */
+    sweepIterations: 4,
+
+    /** Restitution of ball-to-ball collisions (0 sticks, 1 fully elastic) */
+    ballRestitution: 0.9,
+
+    /** Wall hit speed in pixels per second that gives full haptic intensity */
+    hardHitSpeed: 600,
+
+    /** Minimum velocity in pixels per second, to stop jittering */
+    velocityThreshold: 0.6
+};
+
+/**
+ * Ball material configuration
+ * Every ball has a material profile; its values scale the floor's
+ * friction, top speed and gravity (see PHYSICS_CONFIG and SURFACE_CONFIG)
+ * @constant {Object}
+ */
+const BALL_CONFIG = {
+    /** Material of balls when neither the player nor the level picked one */
+    defaultMaterial: 'steel',
+
+    /**
+     * Materials by name: mass, restitution off walls (0-1), friction and
+     * top speed relative to the floor's, response to gravity and tilt, and
+     * the wall impact speed in pixels per second that shatters the ball
+     * (0 for unbreakable)
+     */
+    materials: {
+        steel: { label: 'Steel', mass: 2, restitution: 0.4, friction: 1, speedScale: 1, gravityScale: 1, breakSpeed: 0 },
+        rubber: { label: 'Rubber', mass: 0.8, restitution: 0.8, friction: 1.5, speedScale: 0.85, gravityScale: 0.9, breakSpeed: 0 },
+        glass: { label: 'Glass', mass: 1.2, restitution: 0.5, friction: 0.6, speedScale: 1.25, gravityScale: 1.1, breakSpeed: 450 },
+        wood: { label: 'Wood', mass: 0.6, restitution: 0.45, friction: 1.3, speedScale: 0.8, gravityScale: 0.85, breakSpeed: 0 }
+    }
 };
 
 /**
@@ -45,14 +99,20 @@ const LEVEL_CONFIG = {
 
     /** Ball count by level range */
     ballCounts: {
-        low: 1,      // All levels use 1 ball
-        high: 1
+        low: 1,      // Levels up to ballCountThreshold
+        high: 2      // First level past it
     },
 
     /** Level at which ball count increases */
     ballCountThreshold: 5,
 
-    /** Target score (constant for all levels) */
+    /** Levels past the threshold until another ball is added */
+    levelsPerExtraBall: 6,
+
+    /** Most balls in one level (at most one per VISUAL_CONFIG.ballColors) */
+    maxBalls: 4,
+
+    /** Target score per ball (exits of all balls add up) */
     targetScore: 1000,
 
     /** Base maze height in rows */
@@ -61,13 +121,58 @@ const LEVEL_CONFIG = {
     /** Additional rows per level */
     heightPerLevel: 2,
 
-    /** Base wall density (0-1) */
+    /** Base wall density (0-1): share of dead ends braided into loops */
     baseWallDensity: 0.15,
 
-    /** Additional wall density per level */
+    /** Additional wall density per level (more loops, more routes) */
     densityPerLevel: 0.03
 };
 
+/**
+ * Lives configuration
+ * A life is lost when a level misses its target or a ball lands in a
+ * 0-point exit; the game is over when none are left
+ * @constant {Object}
+ */
+const LIVES_CONFIG = {
+    /** Lives at the start of a game */
+    startLives: 3,
+
+    /** Most lives a player can hold */
+    maxLives: 5,
+
+    /** Total score needed for each extra life */
+    extraLifeScore: 5000
+};
+
+/**
+ * Time limit configuration
+ * Limits and par times grow with the maze's shortest path (in grid steps)
+ * @constant {Object}
+ */
+const TIME_CONFIG = {
+    /** First generated level with a clock */
+    firstTimedLevel: 4,
+
+    /** Time limit before counting the path, in seconds */
+    baseLimit: 15,
+
+    /** Time limit per grid step of the shortest path, in seconds */
+    limitPerStep: 0.6,
+
+    /** Par time before counting the path, in seconds */
+    basePar: 5,
+
+    /** Par time per grid step of the shortest path, in seconds */
+    parPerStep: 0.3,
+
+    /** Bonus points per second left under par */
+    bonusPerSecond: 25,
+
+    /** Seconds left at which the clock turns to a warning */
+    warningSeconds: 10
+};
+
 /**
  * Exit zone configuration
  * Defines scoring zones at the bottom of the maze
@@ -79,7 +184,258 @@ const EXIT_CONFIG = {
     zoneHeight: 45,
 
     /** Number of exit zones */
-    zoneCount: 5
+    zoneCount: 5,
+
+    /** Exit scores with their colors and labels */
+    scores: [
+        { score: 500, color: '#4ade80', label: '500' },
+        { score: 100, color: '#60a5fa', label: '100' },
+        { score: 1000, color: '#facc15', label: '1000' },
+        { score: 0, color: '#94a3b8', label: '0' },
+        { score: 250, color: '#f472b6', label: '250' }
+    ],
+
+    /**
+     * How scores are placed on exits: 'random', 'hardest' (hardest route
+     * pays most) or 'decoy' (hardest pays most, a runner-up pays nothing)
+     */
+    scoreStrategy: 'hardest'
+};
+
+/**
+ * Hazard configuration
+ * Holes the ball can fall into
+ * @constant {Object}
+ */
+const HAZARD_CONFIG = {
+    /** Share of free corridor cells that become holes on level 1 */
+    baseHoleDensity: 0.02,
+
+    /** Additional hole density per level */
+    holeDensityPerLevel: 0.01,
+
+    /** Highest hole density on any level */
+    maxHoleDensity: 0.12,
+
+    /** Hole radius relative to cellSize */
+    holeRadius: 0.4,
+
+    /** Seconds the fall-in animation lasts before the ball respawns */
+    fallDuration: 0.5,
+
+    /** Points lost each time a ball falls into a hole */
+    holePenalty: 100
+};
+
+/**
+ * Maze object configuration
+ * Keys with their locked doors, floor switches with the gates they toggle,
+ * and gems worth points
+ * @constant {Object}
+ */
+const OBJECT_CONFIG = {
+    /** First level with a locked door */
+    firstDoorLevel: 3,
+
+    /** Levels until another door is added */
+    levelsPerDoor: 4,
+
+    /** Most doors in one maze */
+    maxDoors: 3,
+
+    /** First level with a floor switch */
+    firstSwitchLevel: 5,
+
+    /** Levels until another switch is added */
+    levelsPerSwitch: 5,
+
+    /** Most switches in one maze */
+    maxSwitches: 2,
+
+    /** Key and switch size relative to cellSize */
+    objectRadius: 0.3,
+
+    /** Colors of key/door pairs, by channel */
+    keyColors: ['#f59e0b', '#06b6d4', '#a855f7'],
+
+    /** Colors of switch/gate pairs, by channel */
+    switchColors: ['#ef4444', '#22c55e'],
+
+    /** Gems in a level 1 maze */
+    baseGems: 2,
+
+    /** Levels until another gem is added */
+    levelsPerGem: 2,
+
+    /** Most gems in one maze */
+    maxGems: 8,
+
+    /**
+     * Gem values by how far off the exit routes they lie (grid steps);
+     * the deepest tier a gem reaches applies
+     */
+    gemTiers: [
+        { minDepth: 0, value: 25, color: '#22d3ee' },
+        { minDepth: 6, value: 50, color: '#a3e635' },
+        { minDepth: 12, value: 100, color: '#f472b6' }
+    ]
+};
+
+/**
+ * Bumper configuration
+ * Round bumpers on dead-end walls and angled kickers in the corners of
+ * turns kick the ball back harder than it hit them
+ * @constant {Object}
+ */
+const BUMPER_CONFIG = {
+    /** First level with bumpers */
+    firstBumperLevel: 3,
+
+    /** First level with kickers */
+    firstKickerLevel: 4,
+
+    /** Levels until another bumper and kicker are added */
+    levelsPerBumper: 2,
+
+    /** Most bumpers or kickers in one maze */
+    maxPerKind: 6,
+
+    /** Bumper radius relative to cellSize */
+    bumperRadius: 0.3,
+
+    /** Share of the cell side a kicker cuts off at the corner */
+    kickerInset: 0.35,
+
+    /** Kicker half thickness relative to cellSize */
+    kickerRadius: 0.06,
+
+    /** Bumper restitution: outgoing over incoming speed along the hit normal */
+    bumperRestitution: 1.5,
+
+    /** Kicker restitution */
+    kickerRestitution: 1.2,
+
+    /** Least speed in pixels per second a hit sends the ball away with */
+    minKickSpeed: 180,
+
+    /** Points per bumper hit */
+    bumperScore: 10,
+
+    /** Points per kicker hit */
+    kickerScore: 5,
+
+    /** Seconds after a hit before the same bumper scores again */
+    hitCooldown: 0.17,
+
+    /** Seconds a bumper flashes after a hit */
+    flashDuration: 0.2,
+
+    /** Bumper color */
+    bumperColor: '#e11d48',
+
+    /** Kicker color */
+    kickerColor: '#8b5cf6',
+
+    /** Color a hit flashes in */
+    flashColor: '#fde047'
+};
+
+/**
+ * Surface material configuration
+ * Path cells can be ice, mud or sand instead of the default floor
+ * (PHYSICS_CONFIG.damping, slidingFriction and maxVelocity)
+ * @constant {Object}
+ */
+const SURFACE_CONFIG = {
+    /** Materials with their damping, sliding friction, top speed and floor color */
+    materials: {
+        ice: { damping: 0.3, slidingFriction: 40, maxVelocity: 840, color: '#dbeafe' },
+        mud: { damping: 9.75, slidingFriction: 1500, maxVelocity: 180, color: '#a78b6d' },
+        sand: { damping: 5, slidingFriction: 1000, maxVelocity: 360, color: '#f3e3b5' }
+    },
+
+    /** First level with material regions */
+    firstLevel: 3,
+
+    /** Levels until another region is painted */
+    levelsPerRegion: 2,
+
+    /** Most regions in one maze */
+    maxRegions: 8,
+
+    /** Grid cells per region */
+    regionSize: 10,
+
+    /** First level with an ice run in front of the best exit */
+    firstIceRunLevel: 5,
+
+    /** Grid cells of ice in front of the best exit */
+    iceRunLength: 10
+};
+
+/**
+ * Floor tile configuration
+ * One-way gates, boost pads and conveyors change how the ball moves
+ * without blocking it like walls
+ * @constant {Object}
+ */
+const TILE_CONFIG = {
+    /** First level with boost pads */
+    firstBoostLevel: 2,
+
+    /** First level with conveyors */
+    firstConveyorLevel: 4,
+
+    /** First level with one-way gates */
+    firstOneWayLevel: 6,
+
+    /** Levels until another tile of each kind is added */
+    levelsPerTile: 3,
+
+    /** Most tiles of one kind in one maze */
+    maxTilesPerKind: 6,
+
+    /** Velocity in pixels per second added once when the ball rolls onto a boost pad */
+    boostImpulse: 240,
+
+    /** Speed in pixels per second a conveyor carries the ball at */
+    conveyorSpeed: 72,
+
+    /** Arrow scroll speed in cells per second */
+    arrowSpeed: 0.75,
+
+    /** Tile colors by kind */
+    colors: {
+        oneWay: '#38bdf8',
+        boost: '#f97316',
+        conveyor: '#94a3b8'
+    }
+};
+
+/**
+ * Portal configuration
+ * Paired portals in dead ends send the ball to their partner, keeping its
+ * speed and turning it to leave the partner's dead end
+ * @constant {Object}
+ */
+const PORTAL_CONFIG = {
+    /** First level with a portal pair */
+    firstLevel: 6,
+
+    /** Levels until another pair is added */
+    levelsPerPair: 4,
+
+    /** Most pairs in one maze */
+    maxPairs: 3,
+
+    /** Portal size relative to cellSize; the ball center has to enter it */
+    radius: 0.3,
+
+    /** Seconds after a jump before the ball can use any portal again */
+    cooldown: 0.5,
+
+    /** Colors of portal pairs, by channel */
+    colors: ['#8b5cf6', '#14b8a6', '#ec4899']
 };
 
 /**
@@ -94,8 +450,69 @@ const MAZE_CONFIG = {
     /** Base number of rows (should be odd) */
     baseRows: 13,
 
-    /** Wall thickness ratio */
-    wallRatio: 1
+    /**
+     * Wall thickness relative to the corridor width: 1 draws walls as
+     * full grid blocks, below 1 as thin lines between corridors
+     */
+    wallRatio: 0.25,
+
+    /**
+     * Maze sizing: 'fit' shrinks the maze (or its grid) onto the screen,
+     * 'scroll' keeps cells at least cellSize and follows the ball with a camera
+     */
+    sizing: 'scroll',
+
+    /** Minimum cell size in pixels for 'scroll' sizing */
+    cellSize: 24,
+
+    /** Minimum cell size in pixels for 'fit' sizing */
+    minCellSize: 12,
+
+    /** Maximum columns for 'scroll' sizing (should be odd) */
+    maxCols: 401,
+
+    /** Maximum rows for 'scroll' sizing (should be odd) */
+    maxRows: 401,
+
+    /**
+     * Default generation algorithm: 'backtracker', 'prim', 'kruskal',
+     * 'wilson', 'eller', 'binaryTree', 'sidewinder' or 'random'
+     */
+    algorithm: 'backtracker',
+
+    /** Per-level algorithm overrides, e.g. { 3: 'prim', 7: 'random' } */
+    levelAlgorithms: {},
+
+    /**
+     * Default cell layout: 'grid' (square cells), 'hex' (hexagonal cells,
+     * exits along the bottom) or 'theta' (rings, exits around the outer ring)
+     */
+    topology: 'grid',
+
+    /** Per-level topology overrides, e.g. { 4: 'hex', 8: 'theta' } */
+    levelTopologies: {},
+
+    /** Remove dead ends to open loops (amount from getWallDensity) */
+    braiding: true
+};
+
+/**
+ * Maze analysis configuration
+ * Weights of the difficulty score computed by MazeAnalyzer
+ * @constant {Object}
+ */
+const ANALYSIS_CONFIG = {
+    /** Difficulty per cell of route length */
+    lengthWeight: 1,
+
+    /** Difficulty per change of direction along a route */
+    turnWeight: 0.5,
+
+    /** Difficulty per junction passed along a route */
+    decisionWeight: 2,
+
+    /** Difficulty per reachable dead end in the maze */
+    deadEndWeight: 0.5
 };
 
 /**
@@ -115,11 +532,14 @@ const VISUAL_CONFIG = {
         '#e91e63'   // Pink
     ],
 
-    /** Trail length in frames */
-    trailLength: 6,
+    /** Trail length in physics steps */
+    trailLength: 12,
 
     /** Trail opacity */
-    trailOpacity: 0.3
+    trailOpacity: 0.3,
+
+    /** Camera follow smoothing for scrolling mazes (0-1, 1 = locked to ball) */
+    cameraSmoothing: 0.15
 };
 
 /**
@@ -128,7 +548,7 @@ const VISUAL_CONFIG = {
  * @constant {Object}
  */
 const CONTROL_CONFIG = {
-    /** Tilt/keyboard sensitivity multiplier (must be > base gravity / gravityMultiplier) */
+    /** Tilt/keyboard sensitivity multiplier (must be > gravity / gravityMultiplier) */
     tiltSensitivity: 0.25,
 
     /** Maximum tilt angle to consider (degrees) */
@@ -137,7 +557,7 @@ const CONTROL_CONFIG = {
     /** Touch joystick radius */
     joystickRadius: 60,
 
-    /** Input smoothing factor (0-1, lower = more smoothing) */
+    /** Input smoothing factor per 60th of a second (0-1, lower = more smoothing) */
     smoothing: 0.15,
 
     /** Dead zone for tilt input */
@@ -154,7 +574,9 @@ const GAME_STATE = {
     PAUSED: 'paused',
     LEVEL_COMPLETE: 'level_complete',
     LEVEL_FAILED: 'level_failed',
-    GAME_COMPLETE: 'game_complete'
+    GAME_COMPLETE: 'game_complete',
+    GAME_OVER: 'game_over',
+    EDITING: 'editing'
 };
 
 /**
@@ -169,22 +591,39 @@ const CONTROL_METHOD = {
 
 /**
  * Get ball count for a specific level
- * @param {number} level - Current level (1-10)
+ * @param {number} level - Current level (any number)
  * @returns {number} Number of balls to spawn
  */
 function getBallCount(level) {
-    return level <= LEVEL_CONFIG.ballCountThreshold
-        ? LEVEL_CONFIG.ballCounts.low
-        : LEVEL_CONFIG.ballCounts.high;
+    if (level <= LEVEL_CONFIG.ballCountThreshold) return LEVEL_CONFIG.ballCounts.low;
+    return Math.min(
+        LEVEL_CONFIG.ballCounts.high
+            + Math.floor((level - LEVEL_CONFIG.ballCountThreshold - 1) / LEVEL_CONFIG.levelsPerExtraBall),
+        LEVEL_CONFIG.maxBalls
+    );
 }
 
 /**
  * Get target score for any level
  * @param {number} level - Current level (any number)
- * @returns {number} Target score (always 1000)
+ * @returns {number} Target score (1000 for every ball of the level)
  */
 function getTargetScore(level) {
-    return LEVEL_CONFIG.targetScore;
+    return LEVEL_CONFIG.targetScore * getBallCount(level);
+}
+
+/**
+ * Get time limit and par time for a generated level
+ * @param {number} level - Current level (any number)
+ * @param {number} shortestPath - Grid steps from the entry to the nearest exit (-1 if none)
+ * @returns {Object} { limit, par } in seconds, both 0 for untimed levels
+ */
+function getTimeLimits(level, shortestPath) {
+    if (level < TIME_CONFIG.firstTimedLevel || shortestPath <= 0) return { limit: 0, par: 0 };
+    return {
+        limit: Math.ceil(TIME_CONFIG.baseLimit + shortestPath * TIME_CONFIG.limitPerStep),
+        par: Math.ceil(TIME_CONFIG.basePar + shortestPath * TIME_CONFIG.parPerStep)
+    };
 }
 
 /**
@@ -199,6 +638,128 @@ function getWallDensity(level) {
     );
 }
 
+/**
+ * Get hole density for a specific level
+ * @param {number} level - Current level (any number)
+ * @returns {number} Share of free corridor cells that become holes (0-1)
+ */
+function getHoleDensity(level) {
+    return Math.min(
+        HAZARD_CONFIG.baseHoleDensity + (level - 1) * HAZARD_CONFIG.holeDensityPerLevel,
+        HAZARD_CONFIG.maxHoleDensity
+    );
+}
+
+/**
+ * Get number of locked doors for a specific level
+ * @param {number} level - Current level (any number)
+ * @returns {number} Doors (each with its key)
+ */
+function getDoorCount(level) {
+    if (level < OBJECT_CONFIG.firstDoorLevel) return 0;
+    return Math.min(
+        1 + Math.floor((level - OBJECT_CONFIG.firstDoorLevel) / OBJECT_CONFIG.levelsPerDoor),
+        OBJECT_CONFIG.maxDoors
+    );
+}
+
+/**
+ * Get number of floor switches for a specific level
+ * @param {number} level - Current level (any number)
+ * @returns {number} Switches (each with its gate)
+ */
+function getSwitchCount(level) {
+    if (level < OBJECT_CONFIG.firstSwitchLevel) return 0;
+    return Math.min(
+        1 + Math.floor((level - OBJECT_CONFIG.firstSwitchLevel) / OBJECT_CONFIG.levelsPerSwitch),
+        OBJECT_CONFIG.maxSwitches
+    );
+}
+
+/**
+ * Get number of gems for a specific level
+ * @param {number} level - Current level (any number)
+ * @returns {number} Gems to place
+ */
+function getGemCount(level) {
+    return Math.min(
+        OBJECT_CONFIG.baseGems + Math.floor((level - 1) / OBJECT_CONFIG.levelsPerGem),
+        OBJECT_CONFIG.maxGems
+    );
+}
+
+/**
+ * Get number of bumpers or kickers for a specific level
+ * @param {number} level - Current level (any number)
+ * @param {number} firstLevel - First level with this kind (see BUMPER_CONFIG)
+ * @returns {number} Bumpers or kickers to place
+ */
+function getBumperCount(level, firstLevel) {
+    if (level < firstLevel) return 0;
+    return Math.min(
+        1 + Math.floor((level - firstLevel) / BUMPER_CONFIG.levelsPerBumper),
+        BUMPER_CONFIG.maxPerKind
+    );
+}
+
+/**
+ * Get number of surface material regions for a specific level
+ * @param {number} level - Current level (any number)
+ * @returns {number} Regions to paint
+ */
+function getSurfaceRegionCount(level) {
+    if (level < SURFACE_CONFIG.firstLevel) return 0;
+    return Math.min(
+        1 + Math.floor((level - SURFACE_CONFIG.firstLevel) / SURFACE_CONFIG.levelsPerRegion),
+        SURFACE_CONFIG.maxRegions
+    );
+}
+
+/**
+ * Get number of floor tiles of one kind for a specific level
+ * @param {number} level - Current level (any number)
+ * @param {number} firstLevel - First level with this kind (see TILE_CONFIG)
+ * @returns {number} Tiles of that kind
+ */
+function getTileCount(level, firstLevel) {
+    if (level < firstLevel) return 0;
+    return Math.min(
+        1 + Math.floor((level - firstLevel) / TILE_CONFIG.levelsPerTile),
+        TILE_CONFIG.maxTilesPerKind
+    );
+}
+
+/**
+ * Get number of portal pairs for a specific level
+ * @param {number} level - Current level (any number)
+ * @returns {number} Portal pairs to place
+ */
+function getPortalPairCount(level) {
+    if (level < PORTAL_CONFIG.firstLevel) return 0;
+    return Math.min(
+        1 + Math.floor((level - PORTAL_CONFIG.firstLevel) / PORTAL_CONFIG.levelsPerPair),
+        PORTAL_CONFIG.maxPairs
+    );
+}
+
+/**
+ * Get maze generation algorithm for a specific level
+ * @param {number} level - Current level (any number)
+ * @returns {string} Algorithm name (see MAZE_ALGORITHMS) or 'random'
+ */
+function getMazeAlgorithm(level) {
+    return MAZE_CONFIG.levelAlgorithms[level] || MAZE_CONFIG.algorithm;
+}
+
+/**
+ * Get maze topology for a specific level
+ * @param {number} level - Current level (any number)
+ * @returns {string} Topology name (see MAZE_TOPOLOGIES)
+ */
+function getMazeTopology(level) {
+    return MAZE_CONFIG.levelTopologies[level] || MAZE_CONFIG.topology;
+}
+
 /**
  * Get maze height for a specific level
  * @param {number} level - Current level (1-10)
@@ -210,14 +771,35 @@ function getMazeHeight(level) {
 
 // Export configuration for use in other modules
 window.PHYSICS_CONFIG = PHYSICS_CONFIG;
+window.BALL_CONFIG = BALL_CONFIG;
 window.LEVEL_CONFIG = LEVEL_CONFIG;
+window.LIVES_CONFIG = LIVES_CONFIG;
+window.TIME_CONFIG = TIME_CONFIG;
 window.EXIT_CONFIG = EXIT_CONFIG;
+window.HAZARD_CONFIG = HAZARD_CONFIG;
+window.OBJECT_CONFIG = OBJECT_CONFIG;
+window.BUMPER_CONFIG = BUMPER_CONFIG;
+window.SURFACE_CONFIG = SURFACE_CONFIG;
+window.TILE_CONFIG = TILE_CONFIG;
+window.PORTAL_CONFIG = PORTAL_CONFIG;
 window.MAZE_CONFIG = MAZE_CONFIG;
+window.ANALYSIS_CONFIG = ANALYSIS_CONFIG;
 window.VISUAL_CONFIG = VISUAL_CONFIG;
 window.CONTROL_CONFIG = CONTROL_CONFIG;
 window.GAME_STATE = GAME_STATE;
 window.CONTROL_METHOD = CONTROL_METHOD;
 window.getBallCount = getBallCount;
 window.getTargetScore = getTargetScore;
+window.getTimeLimits = getTimeLimits;
 window.getWallDensity = getWallDensity;
+window.getHoleDensity = getHoleDensity;
+window.getDoorCount = getDoorCount;
+window.getSwitchCount = getSwitchCount;
+window.getGemCount = getGemCount;
+window.getBumperCount = getBumperCount;
+window.getSurfaceRegionCount = getSurfaceRegionCount;
+window.getTileCount = getTileCount;
+window.getPortalPairCount = getPortalPairCount;
 window.getMazeHeight = getMazeHeight;
+window.getMazeAlgorithm = getMazeAlgorithm;
+window.getMazeTopology = getMazeTopology;
@@ -490,8 +490,9 @@ class ControlsManager {
     /**
      * Update gravity based on current input
      * Call this each frame to get smoothed gravity
+     * @param {number} [deltaTime] - Seconds since the last frame
      */
-    update() {
+    update(deltaTime = 1 / 60) {
         // Check if any keyboard key is pressed
         const keyboardActive = this.keys.left || this.keys.right ||
             this.keys.up || this.keys.down;
@@ -519,8 +520,8 @@ class ControlsManager {
         }
         // For TILT and TOUCH modes, rawGravity is set by their respective handlers
 
-        // Apply smoothing
-        const smoothing = CONTROL_CONFIG.smoothing;
+        // Apply smoothing, alike at any frame rate
+        const smoothing = 1 - Math.pow(1 - CONTROL_CONFIG.smoothing, deltaTime * 60);
         this.gravity.x += (this.rawGravity.x - this.gravity.x) * smoothing;
         this.gravity.y += (this.rawGravity.y - this.gravity.y) * smoothing;
 
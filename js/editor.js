@@ -0,0 +1,937 @@
+/**
+ * ============================================================================
+ * EXIT VECTOR - LEVEL EDITOR MODULE
+ * ============================================================================
+ * In-browser level editor drawing directly on the game canvas.
+ *
+ * Features:
+ * - Paint walls, paths, holes, the entry and exits onto the grid
+ * - Exit scores, target score, ball count, time limit and par time
+ * - Undo/redo of every stroke and setting change
+ * - Validation that every exit can be reached (MazeAnalyzer)
+ * - Save to local storage or a JSON file (LevelFormat)
+ * - Instant test-play with the normal physics
+ *
+ * @module editor
+ * ============================================================================
+ */
+
+/**
+ * Editor painting tools
+ * @constant {Object}
+ */
+const EDITOR_TOOLS = {
+    WALL: 'wall',
+    PATH: 'path',
+    ENTRY: 'entry',
+    EXIT: 'exit',
+    HOLE: 'hole'
+};
+
+/**
+ * Local storage key for the saved editor level
+ * @constant {string}
+ */
+const EDITOR_STORAGE_KEY = 'exitVector.editorLevel';
+
+/**
+ * Maximum number of undo steps kept
+ * @constant {number}
+ */
+const EDITOR_HISTORY_LIMIT = 100;
+
+/**
+ * Objects that only work with another object of their channel,
+ * by the type of that partner
+ * @constant {Object}
+ */
+const EDITOR_OBJECT_PARTNERS = {
+    [MAZE_OBJECT_TYPES.DOOR]: MAZE_OBJECT_TYPES.KEY,
+    [MAZE_OBJECT_TYPES.GATE]: MAZE_OBJECT_TYPES.SWITCH,
+    [MAZE_OBJECT_TYPES.PORTAL]: MAZE_OBJECT_TYPES.PORTAL
+};
+
+/**
+ * LevelEditor class
+ * Holds the level being edited and handles painting input
+ */
+class LevelEditor {
+    /**
+     * Create a new LevelEditor
+     */
+    constructor() {
+        /** @type {boolean} Whether the editor is open */
+        this.active = false;
+
+        /** @type {Object|null} Level being edited (parsed form, grid of cell types) */
+        this.level = null;
+
+        /** @type {string} Current painting tool */
+        this.tool = EDITOR_TOOLS.WALL;
+
+        /** @type {number|null} Column of the exit whose score is being edited */
+        this.selectedExit = null;
+
+        /** @type {string[]} Snapshots to undo to */
+        this.undoStack = [];
+
+        /** @type {string[]} Snapshots to redo to */
+        this.redoStack = [];
+
+        /** @type {Object|null} Current paint stroke { snapshot, changed } */
+        this.stroke = null;
+
+        /** @type {Object|null} Cell under the pointer { x, y } */
+        this.hoverCell = null;
+
+        /** @type {Object} Canvas size the layout was computed for */
+        this.layoutSize = { width: 0, height: 0 };
+
+        /** @type {Object} Panel DOM elements */
+        this.elements = {};
+
+        /** @type {boolean} Whether DOM handlers are bound */
+        this.initialized = false;
+    }
+
+    /**
+     * Bind panel controls and canvas input (once)
+     * @private
+     */
+    _init() {
+        if (this.initialized) return;
+
+        const byId = (id) => document.getElementById(id);
+        this.elements = {
+            panel: byId('editor-panel'),
+            status: byId('editor-status'),
+            exitScore: byId('editor-exit-score'),
+            target: byId('editor-target'),
+            balls: byId('editor-balls'),
+            timeLimit: byId('editor-time-limit'),
+            parTime: byId('editor-par-time'),
+            material: byId('editor-material'),
+            cols: byId('editor-cols'),
+            rows: byId('editor-rows'),
+            fileInput: byId('editor-file-input'),
+            tools: document.querySelectorAll('.editor-tool')
+        };
+
+        const onClick = (id, handler) => {
+            const element = byId(id);
+            if (element) element.addEventListener('click', handler);
+        };
+
+        this.elements.tools.forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+
+        onClick('editor-undo', () => this.undo());
+        onClick('editor-redo', () => this.redo());
+        onClick('editor-new', () => this.newLevel(
+            parseInt(this.elements.cols.value, 10),
+            parseInt(this.elements.rows.value, 10)
+        ));
+        onClick('editor-test', () => this.test());
+        onClick('editor-save', () => this.saveLocal());
+        onClick('editor-load', () => this.loadLocal());
+        onClick('editor-export', () => this.exportFile());
+        onClick('editor-import', () => this.elements.fileInput && this.elements.fileInput.click());
+        onClick('editor-close', () => window.Game.closeEditor());
+
+        if (this.elements.fileInput) {
+            this.elements.fileInput.addEventListener('change', () => {
+                const file = this.elements.fileInput.files[0];
+                this.elements.fileInput.value = '';
+                if (file) this.importFile(file);
+            });
+        }
+
+        // Level settings
+        this._bindNumberInput(this.elements.exitScore, (value) => {
+            const exit = this._getSelectedExit();
+            if (!exit) return false;
+            Object.assign(exit, this._createExit(exit.column, value));
+            return true;
+        });
+        this._bindNumberInput(this.elements.target, (value) => {
+            this.level.targetScore = Math.max(0, value);
+            return true;
+        });
+        this._bindNumberInput(this.elements.balls, (value) => {
+            this.level.ballCount = Math.max(1, Math.min(VISUAL_CONFIG.ballColors.length, Math.round(value)));
+            return true;
+        });
+        // Clock settings, 0 for none
+        this._bindNumberInput(this.elements.timeLimit, (value) => {
+            this.level.timeLimit = value > 0 ? value : null;
+            return true;
+        });
+        this._bindNumberInput(this.elements.parTime, (value) => {
+            this.level.parTime = value > 0 ? value : null;
+            return true;
+        });
+
+        // Required ball material, or any
+        const material = this.elements.material;
+        if (material) {
+            for (const [name, profile] of Object.entries(BALL_CONFIG.materials)) {
+                material.add(new Option(profile.label, name));
+            }
+            material.addEventListener('change', () => {
+                if (!this.level) return;
+                const snapshot = this._snapshot();
+                this.level.ballMaterial = material.value || null;
+                this._pushHistory(snapshot);
+                this._changed();
+            });
+        }
+
+        // Painting on the game canvas
+        const canvas = window.Renderer.canvas;
+        canvas.addEventListener('pointerdown', (e) => this._handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this._handlePointerMove(e));
+        window.addEventListener('pointerup', () => this._handlePointerUp());
+        window.addEventListener('pointercancel', () => this._handlePointerUp());
+        canvas.addEventListener('pointerleave', () => { this.hoverCell = null; });
+
+        document.addEventListener('keydown', (e) => this._handleKeyDown(e));
+
+        this.initialized = true;
+    }
+
+    /**
+     * Open the editor
+     * @param {Object|null} level - Parsed level to edit; null keeps the
+     *     current level (or restores the saved one, or starts blank)
+     */
+    open(level = null) {
+        this._init();
+
+        if (level) {
+            this._setLevel(level, true);
+        } else if (!this.level) {
+            this._setLevel(this._readStorage() || this._createBlankLevel(15, 17), true);
+        }
+
+        this.active = true;
+        if (this.elements.panel) this.elements.panel.classList.remove('hidden');
+
+        this._refreshLayout();
+        this._updatePanel();
+        this._showValidation();
+    }
+
+    /**
+     * Close the editor (the level is kept for the next open)
+     */
+    close() {
+        this.active = false;
+        this.stroke = null;
+        this.hoverCell = null;
+        if (this.elements.panel) this.elements.panel.classList.add('hidden');
+    }
+
+    /**
+     * Draw the editor view on the game canvas
+     */
+    render() {
+        if (!this.active || !this.level) return;
+
+        // Re-fit the grid after the canvas was resized
+        const { width, height } = window.Renderer.getDimensions();
+        if (width !== this.layoutSize.width || height !== this.layoutSize.height) {
+            this._refreshLayout();
+        }
+
+        window.Renderer.renderEditor({
+            walls: window.MazeGenerator.getWalls(),
+            holes: window.MazeGenerator.getHoles(),
+            tiles: window.MazeGenerator.getTiles(),
+            surfaces: window.MazeGenerator.getSurfaces(),
+            objects: window.MazeGenerator.getObjects(),
+            entry: this.level.entry,
+            exitZones: window.MazeGenerator.getExitZones(),
+            selectedExit: this.selectedExit,
+            hoverCell: this.hoverCell,
+            tool: this.tool
+        });
+    }
+
+    /**
+     * Get a copy of the level being edited
+     * @returns {Object|null} Parsed level
+     */
+    getLevel() {
+        return this.level ? JSON.parse(this._snapshot()) : null;
+    }
+
+    /**
+     * Select a painting tool
+     * @param {string} tool - One of EDITOR_TOOLS
+     */
+    setTool(tool) {
+        if (!Object.values(EDITOR_TOOLS).includes(tool)) return;
+
+        this.tool = tool;
+        this.elements.tools.forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * Replace the level with a blank one
+     * @param {number} cols - Columns
+     * @param {number} rows - Rows
+     */
+    newLevel(cols, rows) {
+        cols = Math.max(5, Math.min(MAZE_CONFIG.maxCols, cols || 15));
+        rows = Math.max(5, Math.min(MAZE_CONFIG.maxRows, rows || 17));
+
+        this._pushHistory(this._snapshot());
+        this._setLevel(this._createBlankLevel(cols, rows), false);
+        this._changed();
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        if (this.undoStack.length === 0) return;
+
+        this.redoStack.push(this._snapshot());
+        this._restore(this.undoStack.pop());
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        if (this.redoStack.length === 0) return;
+
+        this.undoStack.push(this._snapshot());
+        this._restore(this.redoStack.pop());
+    }
+
+    /**
+     * Check the level for format problems, unreachable exits and gems,
+     * and bumpers or kickers left without their walls
+     * @returns {string[]} Problems found (empty if playable)
+     */
+    validate() {
+        const errors = window.LevelFormat.validate(window.LevelFormat.serialize(this.level));
+        if (errors.length > 0) return errors;
+
+        const { grid, entry, tiles, objects } = this.level;
+        const portals = objects.filter(object => object.type === MAZE_OBJECT_TYPES.PORTAL);
+        const analysis = window.MazeAnalyzer.analyzeGrid(
+            grid,
+            this.level.exits.map(exit => exit.column),
+            tiles,
+            portals
+        );
+        for (const exit of analysis.exits) {
+            if (!exit.reachable) {
+                errors.push(`Exit at column ${exit.column} cannot be reached from the entry`);
+            }
+        }
+
+        // A walled-off gem would keep the gem count from ever completing
+        const distance = window.MazeAnalyzer.findDistances(grid, entry, tiles, portals);
+        for (const gem of objects.filter(object => object.type === MAZE_OBJECT_TYPES.GEM)) {
+            if (distance[gem.y * this.level.cols + gem.x] < 0) {
+                errors.push(`Gem at (${gem.x}, ${gem.y}) cannot be reached from the entry`);
+            }
+        }
+
+        // Bumpers sit on a wall and kickers in a corner of two
+        const isWall = (x, y) => !grid[y] || grid[y][x] === undefined || grid[y][x] === CELL_TYPES.WALL;
+        for (const object of objects) {
+            if (object.type !== MAZE_OBJECT_TYPES.BUMPER && object.type !== MAZE_OBJECT_TYPES.KICKER) continue;
+
+            const sides = object.side.split('-').map(name => DIRECTIONS.find(dir => dir.name === name));
+            if (sides.some(dir => !isWall(object.x + dir.dx, object.y + dir.dy))) {
+                errors.push(object.type === MAZE_OBJECT_TYPES.BUMPER
+                    ? `Bumper at (${object.x}, ${object.y}) needs a wall on its ${object.side} side`
+                    : `Kicker at (${object.x}, ${object.y}) needs walls at its ${object.side} corner`);
+            }
+        }
+
+        // Thin walls shrink even columns to wall lines, too narrow to pass
+        if (MAZE_CONFIG.wallRatio < 1) {
+            if (this.level.entry.x % 2 === 0) {
+                errors.push('With thin walls the entry must be on an odd column');
+            }
+            for (const exit of this.level.exits) {
+                if (exit.column % 2 === 0) {
+                    errors.push(`With thin walls exit at column ${exit.column} must move to an odd column`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Play the level with the normal game physics
+     */
+    test() {
+        const level = this._toPlayableLevel();
+        if (level) window.Game.testEditorLevel(level);
+    }
+
+    /**
+     * Save the level to local storage (drafts may be invalid)
+     */
+    saveLocal() {
+        try {
+            localStorage.setItem(EDITOR_STORAGE_KEY, JSON.stringify(window.LevelFormat.serialize(this.level)));
+            this._setStatus('Saved to this browser');
+        } catch (error) {
+            this._setStatus(`Could not save: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Load the level saved in local storage
+     */
+    loadLocal() {
+        const level = this._readStorage();
+        if (!level) {
+            this._setStatus('No saved level in this browser', true);
+            return;
+        }
+
+        this._pushHistory(this._snapshot());
+        this._setLevel(level, false);
+        this._changed();
+        this._setStatus('Loaded saved level');
+    }
+
+    /**
+     * Download the level as a JSON file
+     */
+    exportFile() {
+        const level = this._toPlayableLevel();
+        if (level) window.LevelFormat.download(window.LevelFormat.serialize(level));
+    }
+
+    /**
+     * Replace the level with one from a JSON file
+     * @param {File} file - Level file
+     */
+    async importFile(file) {
+        const level = await window.LevelFormat.readFile(file);
+        if (!level) {
+            this._setStatus('This file is not a valid Exit Vector level', true);
+            return;
+        }
+
+        this._pushHistory(this._snapshot());
+        this._setLevel(level, false);
+        this._changed();
+    }
+
+    /**
+     * Create a bordered, open level with the entry on top and five exits
+     * @param {number} cols - Columns
+     * @param {number} rows - Rows
+     * @returns {Object} Parsed level
+     * @private
+     */
+    _createBlankLevel(cols, rows) {
+        const grid = [];
+        for (let y = 0; y < rows; y++) {
+            const row = [];
+            for (let x = 0; x < cols; x++) {
+                const border = x === 0 || y === 0 || x === cols - 1 || y === rows - 1;
+                row.push(border ? CELL_TYPES.WALL : CELL_TYPES.PATH);
+            }
+            grid.push(row);
+        }
+
+        // Corridors run along odd columns (see MAZE_CONFIG.wallRatio)
+        const toOdd = (x) => Math.max(1, Math.min(cols - 2, x % 2 === 0 ? x + 1 : x));
+
+        const entry = { x: toOdd(Math.floor(cols / 2)), y: 0 };
+        grid[entry.y][entry.x] = CELL_TYPES.ENTRY;
+
+        // Spread the default scores over the bottom row like generated mazes
+        const exits = [];
+        EXIT_CONFIG.scores.forEach((definition, i) => {
+            const column = toOdd(Math.floor((i + 0.5) / EXIT_CONFIG.scores.length * cols));
+            if (grid[rows - 1][column] === CELL_TYPES.EXIT) return;
+
+            grid[rows - 1][column] = CELL_TYPES.EXIT;
+            exits.push(this._createExit(column, definition.score));
+        });
+
+        return {
+            name: 'Custom Level',
+            cols,
+            rows,
+            grid,
+            entry,
+            exits,
+            ballCount: 1,
+            targetScore: LEVEL_CONFIG.targetScore
+        };
+    }
+
+    /**
+     * Create an exit definition with the color and label of its score
+     * @param {number} column - Exit column
+     * @param {number} score - Exit score
+     * @returns {Object} Exit definition
+     * @private
+     */
+    _createExit(column, score) {
+        const known = EXIT_CONFIG.scores.find(definition => definition.score === score);
+        return {
+            column,
+            score,
+            label: String(score),
+            color: known ? known.color : '#94a3b8'
+        };
+    }
+
+    /**
+     * Make a level the one being edited
+     * @param {Object} level - Parsed level
+     * @param {boolean} resetHistory - Whether to clear undo/redo
+     * @private
+     */
+    _setLevel(level, resetHistory) {
+        this.level = {
+            name: level.name || 'Custom Level',
+            level: level.level || null,
+            seed: level.seed || null,
+            algorithm: level.algorithm || null,
+            cols: level.cols,
+            rows: level.rows,
+            grid: level.grid.map(row => [...row]),
+            entry: level.entry ? { x: level.entry.x, y: level.entry.y } : null,
+            // Zones follow the exits while editing, so drop fixed bounds
+            exits: level.exits.map(exit => this._createExitFrom(exit)),
+            objects: (level.objects || []).map(object => ({ ...object })),
+            tiles: (level.tiles || []).map(tile => ({ ...tile })),
+            surfaces: level.surfaces ? level.surfaces.map(row => [...row]) : null,
+            ballCount: level.ballCount || 1,
+            targetScore: level.targetScore !== undefined ? level.targetScore : LEVEL_CONFIG.targetScore,
+            timeLimit: level.timeLimit || null,
+            parTime: level.parTime || null,
+            ballMaterial: level.ballMaterial || null
+        };
+        this.selectedExit = null;
+
+        if (resetHistory) {
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+    }
+
+    /**
+     * Copy an exit without its zone bounds
+     * @param {Object} exit - Exit definition
+     * @returns {Object} Exit definition
+     * @private
+     */
+    _createExitFrom(exit) {
+        return { column: exit.column, score: exit.score, label: exit.label, color: exit.color };
+    }
+
+    /**
+     * Serialize the level for the undo history
+     * @returns {string} Snapshot
+     * @private
+     */
+    _snapshot() {
+        return JSON.stringify(this.level);
+    }
+
+    /**
+     * Restore a snapshot from the undo history
+     * @param {string} snapshot - Snapshot
+     * @private
+     */
+    _restore(snapshot) {
+        this._setLevel(JSON.parse(snapshot), false);
+        this._refreshLayout();
+        this._updatePanel();
+        this._showValidation();
+    }
+
+    /**
+     * Record a snapshot to undo to, clearing redo
+     * @param {string} snapshot - Snapshot taken before the change
+     * @private
+     */
+    _pushHistory(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > EDITOR_HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    /**
+     * Update layout, panel and validation after a change
+     * @private
+     */
+    _changed() {
+        this._refreshLayout();
+        this._updatePanel();
+        this._showValidation();
+    }
+
+    /**
+     * Lay the level out on the canvas through the maze generator,
+     * which also builds the walls and exit zones the renderer draws.
+     * The editor always shows block walls so every grid cell can be clicked.
+     * @private
+     */
+    _refreshLayout() {
+        const { width, height } = window.Renderer.getDimensions();
+        this.layoutSize = { width, height };
+
+        window.MazeGenerator.loadLevel({
+            ...this.level,
+            entry: this.level.entry || { x: 0, y: 0 }
+        }, width, height, { fit: true, margins: this._getMargins(width, height), wallRatio: 1 });
+        window.Renderer.setMazeDimensions(window.MazeGenerator.getDimensions());
+    }
+
+    /**
+     * Screen margins that keep the grid clear of the editor panel
+     * (left of the grid in landscape, above it in portrait)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {Object} Margins { left, right, top, bottom }
+     * @private
+     */
+    _getMargins(width, height) {
+        const { panel } = this.elements;
+        const gap = 20;
+
+        if (width > height) {
+            return { left: (panel ? panel.offsetWidth : 0) + gap, right: gap, top: gap, bottom: gap };
+        }
+        return { left: 15, right: 15, top: (panel ? panel.offsetHeight : 0) + gap, bottom: gap };
+    }
+
+    /**
+     * Get the validated level ready to play or export
+     * @returns {Object|null} Parsed level, or null (with status) if invalid
+     * @private
+     */
+    _toPlayableLevel() {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            this._setStatus(errors[0], true);
+            return null;
+        }
+
+        return window.LevelFormat.parse(window.LevelFormat.serialize(this.level));
+    }
+
+    /**
+     * Read the level saved in local storage
+     * @returns {Object|null} Parsed level or null
+     * @private
+     */
+    _readStorage() {
+        try {
+            const saved = localStorage.getItem(EDITOR_STORAGE_KEY);
+            if (!saved) return null;
+
+            // Drafts may be incomplete, so only the grid shape is required
+            const data = JSON.parse(saved);
+            return {
+                ...data,
+                grid: data.grid.map(row => [...row].map(char => char in LEVEL_CELL_CHARS ? LEVEL_CELL_CHARS[char] : CELL_TYPES.PATH)),
+                exits: Array.isArray(data.exits) ? data.exits : [],
+                surfaces: Array.isArray(data.surfaces)
+                    ? data.surfaces.map(row => [...row].map(char => LEVEL_SURFACE_CHARS[char] || null))
+                    : null
+            };
+        } catch (error) {
+            console.warn('Could not read saved level:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Apply the current tool to a cell
+     * @param {Object} cell - Grid cell { x, y }
+     * @returns {boolean} Whether the level changed
+     * @private
+     */
+    _paint(cell) {
+        const { grid, rows } = this.level;
+        const current = grid[cell.y][cell.x];
+        const bottomRow = cell.y === rows - 1;
+
+        switch (this.tool) {
+            case EDITOR_TOOLS.WALL:
+            case EDITOR_TOOLS.PATH:
+            case EDITOR_TOOLS.HOLE: {
+                const type = this.tool === EDITOR_TOOLS.WALL ? CELL_TYPES.WALL
+                    : this.tool === EDITOR_TOOLS.HOLE ? CELL_TYPES.HOLE : CELL_TYPES.PATH;
+                if (current === type) return false;
+
+                if (current === CELL_TYPES.EXIT) this._removeExit(cell.x);
+                if (current === CELL_TYPES.ENTRY) this.level.entry = null;
+                if (type !== CELL_TYPES.PATH) this._removeObjectsAt(cell.x, cell.y);
+                grid[cell.y][cell.x] = type;
+                return true;
+            }
+
+            case EDITOR_TOOLS.ENTRY: {
+                if (current === CELL_TYPES.ENTRY) return false;
+                if (bottomRow) {
+                    this._setStatus('The bottom row is for exits', true);
+                    return false;
+                }
+
+                const previous = this.level.entry;
+                if (previous) grid[previous.y][previous.x] = CELL_TYPES.PATH;
+                grid[cell.y][cell.x] = CELL_TYPES.ENTRY;
+                this.level.entry = { x: cell.x, y: cell.y };
+                return true;
+            }
+
+            case EDITOR_TOOLS.EXIT: {
+                if (!bottomRow) {
+                    this._setStatus('Exits go on the bottom row', true);
+                    return false;
+                }
+                if (current === CELL_TYPES.EXIT) {
+                    // Clicking an exit selects it for score editing
+                    this.selectedExit = cell.x;
+                    this._updatePanel();
+                    return false;
+                }
+
+                grid[cell.y][cell.x] = CELL_TYPES.EXIT;
+                this.level.exits.push(this._createExit(cell.x, 0));
+                this.level.exits.sort((a, b) => a.column - b.column);
+                this.selectedExit = cell.x;
+                return true;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Remove the maze objects on a cell that was walled or holed over
+     * Doors, gates and portals left without their partner go with them.
+     * @param {number} x - Cell column
+     * @param {number} y - Cell row
+     * @private
+     */
+    _removeObjectsAt(x, y) {
+        const remaining = this.level.objects.filter(object => object.x !== x || object.y !== y);
+
+        this.level.objects = remaining.filter(object => {
+            const partner = EDITOR_OBJECT_PARTNERS[object.type];
+            return !partner || remaining.some(other => other !== object
+                && other.type === partner && other.channel === object.channel);
+        });
+    }
+
+    /**
+     * Remove the exit at a column
+     * @param {number} column - Exit column
+     * @private
+     */
+    _removeExit(column) {
+        this.level.exits = this.level.exits.filter(exit => exit.column !== column);
+        if (this.selectedExit === column) this.selectedExit = null;
+    }
+
+    /**
+     * Get the exit selected for score editing
+     * @returns {Object|null} Exit definition
+     * @private
+     */
+    _getSelectedExit() {
+        return this.level.exits.find(exit => exit.column === this.selectedExit) || null;
+    }
+
+    /**
+     * Get the grid cell under a pointer event
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Object|null} Cell { x, y } or null outside the grid
+     * @private
+     */
+    _cellFromEvent(event) {
+        const renderer = window.Renderer;
+        const rect = renderer.canvas.getBoundingClientRect();
+
+        return window.MazeGenerator.getCellAt(
+            event.clientX - rect.left - renderer.offsetX,
+            event.clientY - rect.top - renderer.offsetY
+        );
+    }
+
+    /**
+     * Start a paint stroke
+     * @param {PointerEvent} event - Pointer event
+     * @private
+     */
+    _handlePointerDown(event) {
+        if (!this.active) return;
+
+        const cell = this._cellFromEvent(event);
+        if (!cell) return;
+
+        event.preventDefault();
+        this.stroke = { snapshot: this._snapshot(), changed: false };
+        this.hoverCell = cell;
+
+        if (this._paint(cell)) {
+            this.stroke.changed = true;
+            this._refreshLayout();
+        }
+
+        // Single-cell tools don't drag
+        if (this.tool === EDITOR_TOOLS.ENTRY || this.tool === EDITOR_TOOLS.EXIT) {
+            this._handlePointerUp();
+        }
+    }
+
+    /**
+     * Continue a paint stroke / track hover
+     * @param {PointerEvent} event - Pointer event
+     * @private
+     */
+    _handlePointerMove(event) {
+        if (!this.active) return;
+
+        const cell = this._cellFromEvent(event);
+        this.hoverCell = cell;
+
+        if (this.stroke && cell && this._paint(cell)) {
+            this.stroke.changed = true;
+            this._refreshLayout();
+        }
+    }
+
+    /**
+     * Finish a paint stroke as one undo step
+     * @private
+     */
+    _handlePointerUp() {
+        if (!this.stroke) return;
+
+        if (this.stroke.changed) {
+            this._pushHistory(this.stroke.snapshot);
+            this._updatePanel();
+            this._showValidation();
+        }
+        this.stroke = null;
+    }
+
+    /**
+     * Editor keyboard shortcuts
+     * @param {KeyboardEvent} event - Key event
+     * @private
+     */
+    _handleKeyDown(event) {
+        if (!this.active || event.target.tagName === 'INPUT') return;
+
+        const modifier = event.ctrlKey || event.metaKey;
+        const key = event.key.toLowerCase();
+
+        if (modifier && key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) this.redo();
+            else this.undo();
+        } else if (modifier && key === 'y') {
+            event.preventDefault();
+            this.redo();
+        } else if (!modifier) {
+            const tools = [EDITOR_TOOLS.WALL, EDITOR_TOOLS.PATH, EDITOR_TOOLS.ENTRY, EDITOR_TOOLS.EXIT, EDITOR_TOOLS.HOLE];
+            const index = parseInt(key, 10) - 1;
+            if (tools[index]) this.setTool(tools[index]);
+        }
+    }
+
+    /**
+     * Apply a number input as one undo step
+     * @param {HTMLInputElement} input - Number input
+     * @param {Function} apply - Applies the value, returns whether it changed
+     * @private
+     */
+    _bindNumberInput(input, apply) {
+        if (!input) return;
+
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (!this.level || Number.isNaN(value)) {
+                this._updatePanel();
+                return;
+            }
+
+            const snapshot = this._snapshot();
+            if (apply(value)) {
+                this._pushHistory(snapshot);
+                this._changed();
+            }
+        });
+    }
+
+    /**
+     * Show the level settings in the panel
+     * @private
+     */
+    _updatePanel() {
+        const { exitScore, target, balls, timeLimit, parTime, material, cols, rows } = this.elements;
+        const exit = this._getSelectedExit();
+
+        if (exitScore) {
+            exitScore.disabled = !exit;
+            exitScore.value = exit ? exit.score : '';
+        }
+        if (target) target.value = this.level.targetScore;
+        if (balls) balls.value = this.level.ballCount;
+        if (timeLimit) timeLimit.value = this.level.timeLimit || 0;
+        if (parTime) parTime.value = this.level.parTime || 0;
+        if (material) material.value = this.level.ballMaterial || '';
+        if (cols) cols.value = this.level.cols;
+        if (rows) rows.value = this.level.rows;
+    }
+
+    /**
+     * Show validation results in the status line
+     * @private
+     */
+    _showValidation() {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            this._setStatus(errors[0], true);
+        } else {
+            this._setStatus(`Ready: all ${this.level.exits.length} exits reachable`);
+        }
+    }
+
+    /**
+     * Set the status line
+     * @param {string} message - Message
+     * @param {boolean} [isError] - Whether it is a problem
+     * @private
+     */
+    _setStatus(message, isError = false) {
+        const { status } = this.elements;
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+}
+
+// Create singleton instance
+const levelEditor = new LevelEditor();
+
+// Export for use in other modules
+window.LevelEditor = levelEditor;
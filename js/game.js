@@ -5,11 +5,14 @@
  * Main game controller handling state management, game loop, and UI.
  * 
  * Features:
- * - Game state machine (menu, playing, paused, level complete)
+ * - Game state machine (menu, playing, paused, level complete, game over)
  * - Level progression with target scores
  * - Pause/resume functionality
  * - Score tracking and display
+ * - Time limits and par times, with a bonus for finishing under par
+ * - Lives lost on failed levels and 0-point exits, extra lives by score
  * - FPS monitoring
+ * - Level editor with test-play
  * 
  * @module game
  * ============================================================================
@@ -39,6 +42,15 @@ class Game {
         /** @type {number} Target score for current level */
         this.targetScore = 0;
 
+        /** @type {number} Lives left in this game */
+        this.lives = LIVES_CONFIG.startLives;
+
+        /** @type {number} Total score that earns the next extra life */
+        this.nextLifeScore = LIVES_CONFIG.extraLifeScore;
+
+        /** @type {boolean} Whether a 0-point exit already cost a life this level */
+        this.exitLifeLost = false;
+
         /** @type {number} Last frame timestamp */
         this.lastTime = 0;
 
@@ -63,6 +75,33 @@ class Game {
         /** @type {boolean} Whether game is initialized */
         this.initialized = false;
 
+        /** @type {Object|null} Shared maze from the URL hash, used once on start */
+        this.sharedMaze = null;
+
+        /** @type {Object|null} Loaded level being played instead of a generated one */
+        this.customLevel = null;
+
+        /** @type {number} Balls spawned in the current level */
+        this.ballCount = 1;
+
+        /** @type {number} Seconds allowed for the current level (0 for no limit) */
+        this.timeLimit = 0;
+
+        /** @type {number} Seconds to finish within for a time bonus (0 for no par) */
+        this.parTime = 0;
+
+        /** @type {number} Seconds played in the current level */
+        this.elapsedTime = 0;
+
+        /** @type {number} Points earned for finishing under par */
+        this.timeBonus = 0;
+
+        /** @type {string} Ball material the player picked */
+        this.ballMaterial = BALL_CONFIG.defaultMaterial;
+
+        /** @type {string|null} Ball material the current level requires */
+        this.requiredMaterial = null;
+
         // Bind methods
         this._gameLoop = this._gameLoop.bind(this);
     }
@@ -83,6 +122,9 @@ class Game {
         // Set up UI event listeners
         this._setupEventListeners();
 
+        // Pick up a shared maze from the URL hash (#maze=<code>)
+        this.sharedMaze = this._readShareHash();
+
         this.initialized = true;
         console.log('Exit Vector initialized');
     }
@@ -142,10 +184,52 @@ class Game {
         const retryButton = document.getElementById('retry-button');
         addTouchHandler(retryButton, () => this.restartLevel());
 
-        // Play again button
+        // Play again buttons
         const playAgainButton = document.getElementById('play-again-button');
         addTouchHandler(playAgainButton, () => this.restartGame());
 
+        const gameOverRestartButton = document.getElementById('game-over-restart-button');
+        addTouchHandler(gameOverRestartButton, () => this.restartGame());
+
+        // Level file buttons
+        const levelFileInput = document.getElementById('level-file-input');
+        const loadLevelButton = document.getElementById('load-level-button');
+        addTouchHandler(loadLevelButton, () => levelFileInput && levelFileInput.click());
+        if (levelFileInput) {
+            levelFileInput.addEventListener('change', () => {
+                const file = levelFileInput.files[0];
+                levelFileInput.value = '';
+                if (file) this.loadLevelFile(file);
+            });
+        }
+
+        const saveLevelButton = document.getElementById('save-level-button');
+        addTouchHandler(saveLevelButton, () => this.saveCurrentLevel());
+
+        // Level editor buttons
+        const editorButton = document.getElementById('editor-button');
+        addTouchHandler(editorButton, () => this.openEditor());
+
+        const editLevelButton = document.getElementById('edit-level-button');
+        addTouchHandler(editLevelButton, () => this.editCurrentLevel());
+
+        document.querySelectorAll('.return-to-editor-button').forEach(button => {
+            addTouchHandler(button, () => this.returnToEditor());
+        });
+
+        // Ball material pickers, one button per material
+        document.querySelectorAll('.ball-picker').forEach(picker => {
+            for (const [name, profile] of Object.entries(BALL_CONFIG.materials)) {
+                const button = document.createElement('button');
+                button.className = 'ball-option';
+                button.dataset.material = name;
+                button.textContent = profile.label;
+                addTouchHandler(button, () => this.setBallMaterial(name));
+                picker.appendChild(button);
+            }
+        });
+        this._updateBallPickers();
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -167,8 +251,11 @@ class Game {
      * Start a new game
      */
     startGame() {
-        this.level = 1;
+        this.customLevel = null;
+        document.body.classList.remove('editor-testing');
+        this.level = this.sharedMaze ? this.sharedMaze.level : 1;
         this.totalScore = 0;
+        this._resetLives();
         this.hidePermissionOverlay();
         this.startLevel();
     }
@@ -177,61 +264,298 @@ class Game {
      * Start the current level
      */
     startLevel() {
-        // Get target score for level
-        this.targetScore = getTargetScore(this.level);
         this.score = 0;
+        this.exitLifeLost = false;
         this.scorePopups = [];
 
-        // Get ball count for level
-        const ballCount = getBallCount(this.level);
-
         // Get canvas dimensions
         const { width, height } = window.Renderer.getDimensions();
 
+        // Levels may require a ball material over the player's pick
+        this.requiredMaterial = this.customLevel ? this.customLevel.ballMaterial || null : null;
+        window.PhysicsEngine.setBallMaterial(this.requiredMaterial || this.ballMaterial);
+        this._updateBallPickers();
+
+        if (this.customLevel) {
+            // Loaded levels bring their own target and balls, and skip generation
+            this.targetScore = this.customLevel.targetScore;
+            this.ballCount = this.customLevel.ballCount;
+            window.LevelFormat.load(this.customLevel, width, height);
+            this._writeShareHash(null);
+        } else {
+            this.targetScore = getTargetScore(this.level);
+            this.ballCount = getBallCount(this.level);
+            this._generateLevel(width, height);
+        }
+
+        // The clock scales with the shortest way out
+        const times = this.customLevel
+            ? { limit: this.customLevel.timeLimit || 0, par: this.customLevel.parTime || 0 }
+            : getTimeLimits(this.level, window.MazeGenerator.getAnalysis().shortestPath);
+        this.timeLimit = times.limit;
+        this.parTime = times.par;
+        this.elapsedTime = 0;
+        this.timeBonus = 0;
+
+        // Show maze difficulty in the debug panel
+        const difficultyElement = document.getElementById('debug-difficulty');
+        if (difficultyElement) {
+            difficultyElement.textContent = window.MazeGenerator.getAnalysis().difficulty;
+        }
+
+        // Set physics callbacks
+        window.PhysicsEngine.setOnBallExit((ball) => {
+            this._onBallExit(ball);
+        });
+        window.PhysicsEngine.setOnBallFall((ball, penalty) => {
+            this._onBallFall(ball, penalty);
+        });
+        window.PhysicsEngine.setOnGemCollect((ball, gem) => {
+            this._onGemCollect(gem);
+        });
+        window.PhysicsEngine.setOnBumperHit((ball, bumper) => {
+            this._onBumperHit(ball, bumper);
+        });
+
+        // Update HUD
+        this._updateHUD();
+
+        // Show level notification
+        this._showLevelNotification();
+
+        // Set state and start loop
+        this.state = GAME_STATE.PLAYING;
+        this.lastTime = performance.now();
+
+        // Enable touch controls for gameplay
+        const touchArea = document.getElementById('touch-area');
+        if (touchArea) touchArea.classList.add('active');
+
+        if (!this.animationId) {
+            this._gameLoop();
+        }
+    }
+
+    /**
+     * Generate the maze for the current level and set up renderer and physics
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @private
+     */
+    _generateLevel(width, height) {
         // Initialize maze with full screen dimensions (maze centered on screen)
-        window.MazeGenerator.init(this.level, width, height);
+        // A shared maze is only replayed once; later levels are fresh
+        const mazeOptions = this.sharedMaze && this.sharedMaze.level === this.level
+            ? this.sharedMaze
+            : {};
+        this.sharedMaze = null;
+        window.MazeGenerator.init(this.level, width, height, mazeOptions);
         const mazeDimensions = window.MazeGenerator.getDimensions();
 
+        // Keep the URL pointing at the maze being played
+        this._writeShareHash(window.MazeGenerator.getShareCode());
+
         // Set maze dimensions in renderer
         window.Renderer.setMazeDimensions(mazeDimensions);
 
         // Get spawn positions
-        const spawnPositions = window.MazeGenerator.getSpawnPositions(ballCount);
+        const spawnPositions = window.MazeGenerator.getSpawnPositions(this.ballCount);
 
         // Initialize physics
         window.PhysicsEngine.init(
             spawnPositions,
-            window.MazeGenerator.getWallRects(),
+            window.MazeGenerator.getWalls(),
             window.MazeGenerator.getExitZones(),
             mazeDimensions.width,
             mazeDimensions.height,
             mazeDimensions.ballRadius
         );
+        window.PhysicsEngine.setHoles(window.MazeGenerator.getHoles());
+        window.PhysicsEngine.setObjects(window.MazeGenerator.getObjects());
+        window.PhysicsEngine.setTiles(window.MazeGenerator.getTiles());
+        window.PhysicsEngine.setSurfaces(window.MazeGenerator.getSurfaces());
+    }
 
-        // Set physics callbacks
-        window.PhysicsEngine.setOnBallExit((ball) => {
-            this._onBallExit(ball);
-        });
+    /**
+     * Play a level loaded from level data instead of a generated one
+     * @param {Object} level - Parsed level (see LevelFormat.parse)
+     */
+    playCustomLevel(level) {
+        this.customLevel = level;
+        this.level = level.level || 1;
+        this.totalScore = 0;
+        this._resetLives();
 
-        // Update HUD
-        this._updateHUD();
+        this.hidePermissionOverlay();
+        this.hidePauseOverlay();
+        this.hideLevelCompleteOverlay();
+        this.hideLevelFailedOverlay();
+        this.hideGameCompleteOverlay();
+        this.hideGameOverOverlay();
+        window.ControlsManager.reset();
+        window.PhysicsEngine.setPaused(false);
+        this.startLevel();
+    }
 
-        // Show level notification
-        this._showLevelNotification();
+    /**
+     * Load a level file chosen by the player and play it
+     * @param {File} file - Level JSON file
+     */
+    async loadLevelFile(file) {
+        const level = await window.LevelFormat.readFile(file);
+        if (!level) {
+            alert('This file is not a valid Exit Vector level.');
+            return;
+        }
+        this.playCustomLevel(level);
+    }
 
-        // Set state and start loop
-        this.state = GAME_STATE.PLAYING;
-        this.lastTime = performance.now();
+    /**
+     * Save the level being played as a JSON file
+     */
+    saveCurrentLevel() {
+        const level = window.LevelFormat.exportLevel(window.MazeGenerator, {
+            name: this.customLevel ? this.customLevel.name : undefined,
+            ballCount: this.ballCount,
+            targetScore: this.targetScore,
+            timeLimit: this.timeLimit,
+            parTime: this.parTime,
+            ballMaterial: this.requiredMaterial || undefined
+        });
+        if (!level) {
+            alert('Only square grid mazes can be saved as level files.');
+            return;
+        }
+        window.LevelFormat.download(level);
+    }
 
-        // Enable touch controls for gameplay
+    /**
+     * Open the level editor
+     * @param {Object|null} [level] - Parsed level to edit; null keeps the
+     *     editor's current level
+     */
+    openEditor(level = null) {
+        this.state = GAME_STATE.EDITING;
+
+        this.hidePermissionOverlay();
+        this.hidePauseOverlay();
+        this.hideLevelCompleteOverlay();
+        this.hideLevelFailedOverlay();
+        this.hideGameCompleteOverlay();
+        this.hideGameOverOverlay();
+        window.PhysicsEngine.setPaused(true);
+
+        // The canvas takes pointer input while editing
         const touchArea = document.getElementById('touch-area');
-        if (touchArea) touchArea.classList.add('active');
+        if (touchArea) touchArea.classList.remove('active');
+        document.body.classList.remove('editor-testing');
+        document.body.classList.add('editing');
+
+        this._writeShareHash(null);
+        window.LevelEditor.open(level);
 
         if (!this.animationId) {
             this._gameLoop();
         }
     }
 
+    /**
+     * Open the level being played in the editor
+     */
+    editCurrentLevel() {
+        const data = window.LevelFormat.exportLevel(window.MazeGenerator, {
+            name: this.customLevel ? this.customLevel.name : undefined,
+            ballCount: this.ballCount,
+            targetScore: this.targetScore,
+            timeLimit: this.timeLimit,
+            parTime: this.parTime,
+            ballMaterial: this.requiredMaterial || undefined
+        });
+        if (!data) {
+            alert('The level editor only works with square grid mazes.');
+            return;
+        }
+        this.openEditor(window.LevelFormat.parse(data));
+    }
+
+    /**
+     * Play the editor's level, with a way back to the editor
+     * @param {Object} level - Parsed level
+     */
+    testEditorLevel(level) {
+        window.LevelEditor.close();
+        document.body.classList.remove('editing');
+        document.body.classList.add('editor-testing');
+        this.playCustomLevel(level);
+    }
+
+    /**
+     * Stop test-playing and go back to the editor
+     */
+    returnToEditor() {
+        this.openEditor();
+    }
+
+    /**
+     * Leave the editor for the start screen
+     */
+    closeEditor() {
+        window.LevelEditor.close();
+        document.body.classList.remove('editing');
+        this.state = GAME_STATE.MENU;
+
+        const overlay = document.getElementById('permission-overlay');
+        if (overlay) overlay.classList.remove('hidden');
+    }
+
+    /**
+     * Read a share code from the URL hash
+     * @returns {Object|null} Parsed share code or null
+     * @private
+     */
+    _readShareHash() {
+        const match = /(?:^#|&)maze=([^&]+)/.exec(window.location.hash || '');
+        if (!match) return null;
+
+        // A mangled hash is treated like any other invalid code
+        let code;
+        try {
+            code = decodeURIComponent(match[1]);
+        } catch (error) {
+            console.warn('Could not decode shared maze code:', error.message);
+            return null;
+        }
+
+        if (window.MazeGenerator.isOutdatedShareCode(code)) {
+            alert('This maze link is from an older version of Exit Vector. A new maze is played instead.');
+            return null;
+        }
+
+        return window.MazeGenerator.parseShareCode(code);
+    }
+
+    /**
+     * Write the share code into the URL hash without adding history entries
+     * @param {string|null} code - Share code, or null to clear the hash
+     * @private
+     */
+    _writeShareHash(code) {
+        if (!window.history || !window.history.replaceState) return;
+
+        const url = code
+            ? `#maze=${code}`
+            : window.location.pathname + window.location.search;
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * Get share code of the maze being played
+     * @returns {string} Share code
+     */
+    getShareCode() {
+        return window.MazeGenerator.getShareCode();
+    }
+
     /**
      * Main game loop
      * @private
@@ -252,13 +576,13 @@ class Game {
         // Only update if playing
         if (this.state === GAME_STATE.PLAYING) {
             // Update controls
-            window.ControlsManager.update();
+            window.ControlsManager.update(this.deltaTime);
 
             // Set gravity in physics
             window.PhysicsEngine.setGravity(window.ControlsManager.getGravity());
 
-            // Update physics
-            window.PhysicsEngine.update();
+            // Update physics; the clock only runs for simulated time
+            this.elapsedTime += window.PhysicsEngine.update(this.deltaTime);
 
             // Update score popups
             this._updateScorePopups();
@@ -266,9 +590,11 @@ class Game {
             // Update HUD
             this._updateHUD();
 
-            // Check if level is complete
+            // Check if level is complete or out of time
             if (window.PhysicsEngine.allBallsExited()) {
                 this._onLevelComplete();
+            } else if (this.timeLimit > 0 && this.elapsedTime >= this.timeLimit) {
+                this._onTimeUp();
             }
         }
 
@@ -281,10 +607,16 @@ class Game {
      * @private
      */
     _render() {
+        if (this.state === GAME_STATE.EDITING) {
+            window.LevelEditor.render();
+            return;
+        }
+
         window.Renderer.render({
             maze: window.MazeGenerator,
             balls: window.PhysicsEngine.getBalls(),
             exitZones: window.MazeGenerator.getExitZones(),
+            objects: window.PhysicsEngine.getObjects(),
             score: this.score,
             level: this.level,
             targetScore: this.targetScore,
@@ -342,17 +674,90 @@ class Game {
             progress: 0
         });
 
+        // A ball wasted in a 0-point exit costs a life
+        if (ball.score === 0 && this.state === GAME_STATE.PLAYING) {
+            this.exitLifeLost = true;
+            if (!this._loseLife()) {
+                this.totalScore += this.score;
+                this._onGameOver('A ball landed in the 0 zone.');
+                return;
+            }
+        }
+
         // Update HUD
         this._updateHUD();
     }
 
+    /**
+     * Handle a ball that fell into a hole and respawned
+     * @param {Ball} ball - Ball that fell
+     * @param {number} penalty - Points lost
+     * @private
+     */
+    _onBallFall(ball, penalty) {
+        this.score = window.PhysicsEngine.getScore();
+
+        this.scorePopups.push({
+            x: ball.x,
+            y: ball.y,
+            score: -penalty,
+            progress: 0
+        });
+
+        this._updateHUD();
+    }
+
+    /**
+     * Handle a collected gem
+     * @param {Object} gem - Gem object (see PhysicsEngine.setObjects)
+     * @private
+     */
+    _onGemCollect(gem) {
+        this.score = window.PhysicsEngine.getScore();
+
+        this.scorePopups.push({
+            x: gem.x,
+            y: gem.y,
+            score: gem.value,
+            progress: 0
+        });
+
+        this._updateHUD();
+    }
+
+    /**
+     * Handle a bumper or kicker hit
+     * @param {Ball} ball - Ball that hit it
+     * @param {Object} bumper - Bumper or kicker object
+     * @private
+     */
+    _onBumperHit(ball, bumper) {
+        this.score = window.PhysicsEngine.getScore();
+
+        this.scorePopups.push({
+            x: ball.x,
+            y: ball.y,
+            score: bumper.score,
+            progress: 0
+        });
+
+        this._updateHUD();
+    }
+
     /**
      * Handle level completion
      * @private
      */
     _onLevelComplete() {
         this.score = window.PhysicsEngine.getScore();
+
+        // Seconds left under par count towards the target
+        if (this.parTime > 0 && this.elapsedTime < this.parTime) {
+            this.timeBonus = Math.round((this.parTime - this.elapsedTime) * TIME_CONFIG.bonusPerSecond);
+            this.score += this.timeBonus;
+        }
         this.totalScore += this.score;
+        this._awardExtraLives();
 
         // Disable touch area so overlay buttons work
         const touchArea = document.getElementById('touch-area');
@@ -369,13 +774,94 @@ class Game {
                 this.state = GAME_STATE.LEVEL_COMPLETE;
                 this._showLevelCompleteOverlay();
             }
-        } else {
-            // Level failed
+        } else if (this.exitLifeLost || this._loseLife()) {
+            // Level failed (a 0-point exit already took this level's life)
             this.state = GAME_STATE.LEVEL_FAILED;
             this._showLevelFailedOverlay();
+        } else {
+            this._onGameOver('The level missed its target.');
         }
     }
 
+    /**
+     * Give a full set of lives for a new game
+     * @private
+     */
+    _resetLives() {
+        this.lives = LIVES_CONFIG.startLives;
+        this.nextLifeScore = LIVES_CONFIG.extraLifeScore;
+    }
+
+    /**
+     * Take one life
+     * @returns {boolean} Whether any lives are left
+     * @private
+     */
+    _loseLife() {
+        this.lives = Math.max(0, this.lives - 1);
+        this._updateHUD();
+        return this.lives > 0;
+    }
+
+    /**
+     * Give a life for every score threshold the total score has passed
+     * @private
+     */
+    _awardExtraLives() {
+        while (this.totalScore >= this.nextLifeScore) {
+            this.lives = Math.min(LIVES_CONFIG.maxLives, this.lives + 1);
+            this.nextLifeScore += LIVES_CONFIG.extraLifeScore;
+        }
+    }
+
+    /**
+     * End the game after the last life is lost
+     * @param {string} reason - How the last life was lost
+     * @private
+     */
+    _onGameOver(reason) {
+        this.state = GAME_STATE.GAME_OVER;
+
+        // Disable touch area so overlay buttons work
+        const touchArea = document.getElementById('touch-area');
+        if (touchArea) touchArea.classList.remove('active');
+
+        this.hideLevelFailedOverlay();
+        this._showGameOverOverlay(reason);
+    }
+
+    /**
+     * Fail the level when its time limit runs out
+     * @private
+     */
+    _onTimeUp() {
+        this.score = window.PhysicsEngine.getScore();
+        this.totalScore += this.score;
+        if (!this._loseLife()) {
+            this._onGameOver('Out of time!');
+            return;
+        }
+
+        this.state = GAME_STATE.LEVEL_FAILED;
+
+        // Disable touch area so overlay buttons work
+        const touchArea = document.getElementById('touch-area');
+        if (touchArea) touchArea.classList.remove('active');
+
+        this._showLevelFailedOverlay('Out of time!');
+    }
+
+    /**
+     * Format seconds as a clock
+     * @param {number} seconds - Seconds (rounded up to whole seconds)
+     * @returns {string} Clock text m:ss
+     * @private
+     */
+    _formatTime(seconds) {
+        const whole = Math.max(0, Math.ceil(seconds));
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+
     /**
      * Update HUD elements
      * @private
@@ -393,12 +879,55 @@ class Game {
             levelValue.textContent = this.level;
         }
 
+        // Update lives
+        const livesValue = document.getElementById('lives-value');
+        if (livesValue) {
+            livesValue.textContent = this.lives;
+            livesValue.classList.toggle('warning', this.lives <= 1);
+        }
+
         // Update target
         const targetValue = document.getElementById('target-value');
         if (targetValue) {
             targetValue.textContent = this.targetScore;
         }
 
+        // Update gems (hidden in mazes without any)
+        const gemsValue = document.getElementById('gems-value');
+        if (gemsValue) {
+            const gems = window.PhysicsEngine.getGemCount();
+            gemsValue.textContent = `${gems.collected} / ${gems.total}`;
+
+            const display = gems.total > 0 ? '' : 'none';
+            gemsValue.parentElement.style.display = display;
+            const gemsDivider = document.getElementById('gems-divider');
+            if (gemsDivider) gemsDivider.style.display = display;
+        }
+
+        // Update clock and par (hidden in untimed levels)
+        const timeValue = document.getElementById('time-value');
+        if (timeValue) {
+            const left = this.timeLimit - this.elapsedTime;
+            timeValue.textContent = this._formatTime(left);
+            timeValue.classList.toggle('warning', left <= TIME_CONFIG.warningSeconds);
+
+            const display = this.timeLimit > 0 ? '' : 'none';
+            timeValue.parentElement.style.display = display;
+            const timeDivider = document.getElementById('time-divider');
+            if (timeDivider) timeDivider.style.display = display;
+        }
+
+        const parValue = document.getElementById('par-value');
+        if (parValue) {
+            parValue.textContent = this._formatTime(this.parTime);
+            parValue.classList.toggle('missed', this.elapsedTime >= this.parTime);
+
+            const display = this.parTime > 0 ? '' : 'none';
+            parValue.parentElement.style.display = display;
+            const parDivider = document.getElementById('par-divider');
+            if (parDivider) parDivider.style.display = display;
+        }
+
         // Update active balls
         const ballsValue = document.getElementById('balls-value');
         if (ballsValue) {
@@ -491,6 +1020,9 @@ class Game {
      * Proceed to next level
      */
     nextLevel() {
+        // After a loaded level, carry on with generated ones
+        this.customLevel = null;
+        document.body.classList.remove('editor-testing');
         this.level++;
         this.hideLevelCompleteOverlay();
         window.ControlsManager.reset();
@@ -499,10 +1031,16 @@ class Game {
 
     /**
      * Restart entire game
+     * A loaded level is played again from the start with full lives.
      */
     restartGame() {
         this.hideGameCompleteOverlay();
-        this.startGame();
+        this.hideGameOverOverlay();
+        if (this.customLevel) {
+            this.playCustomLevel(this.customLevel);
+        } else {
+            this.startGame();
+        }
     }
 
     /**
@@ -517,7 +1055,8 @@ class Game {
         if (notification && levelText) {
             levelText.textContent = `Level ${this.level}`;
             if (ballsText) {
-                ballsText.textContent = `${getBallCount(this.level)} balls`;
+                const material = BALL_CONFIG.materials[this.requiredMaterial || this.ballMaterial].label.toLowerCase();
+                ballsText.textContent = `${this.ballCount} ${material} ${this.ballCount === 1 ? 'ball' : 'balls'}`;
             }
 
             notification.classList.remove('hidden');
@@ -527,6 +1066,37 @@ class Game {
         }
     }
 
+    /**
+     * Pick the ball material for the next levels
+     * Levels that require a material still use theirs.
+     * @param {string} material - Key of BALL_CONFIG.materials
+     */
+    setBallMaterial(material) {
+        if (!BALL_CONFIG.materials[material]) {
+            console.warn('Unknown ball material:', material);
+            return;
+        }
+
+        this.ballMaterial = material;
+        this._updateBallPickers();
+    }
+
+    /**
+     * Show the picked ball material in every picker
+     * While a level requires a material, it is shown and the others are
+     * disabled.
+     * @private
+     */
+    _updateBallPickers() {
+        const shown = this.requiredMaterial || this.ballMaterial;
+
+        document.querySelectorAll('.ball-option').forEach(button => {
+            const material = button.dataset.material;
+            button.classList.toggle('active', material === shown);
+            button.disabled = this.requiredMaterial !== null && material !== this.requiredMaterial;
+        });
+    }
+
     /**
      * Show/hide permission overlay
      */
@@ -556,10 +1126,15 @@ class Game {
         const overlay = document.getElementById('level-complete-overlay');
         const scoreText = document.getElementById('complete-score');
         const targetText = document.getElementById('complete-target');
+        const bonusText = document.getElementById('complete-bonus');
 
         if (overlay) {
             if (scoreText) scoreText.textContent = this.score;
             if (targetText) targetText.textContent = this.targetScore;
+            if (bonusText) {
+                bonusText.textContent = `+${this.timeBonus}`;
+                bonusText.parentElement.style.display = this.timeBonus > 0 ? '' : 'none';
+            }
             overlay.classList.remove('hidden');
         }
     }
@@ -571,16 +1146,22 @@ class Game {
 
     /**
      * Show level failed overlay
+     * @param {string|null} [reason] - Why the level failed, shown above the stats
      * @private
      */
-    _showLevelFailedOverlay() {
+    _showLevelFailedOverlay(reason = null) {
         const overlay = document.getElementById('level-failed-overlay');
         const scoreText = document.getElementById('failed-score');
         const targetText = document.getElementById('failed-target');
+        const reasonText = document.getElementById('failed-reason');
 
         if (overlay) {
             if (scoreText) scoreText.textContent = this.score;
             if (targetText) targetText.textContent = this.targetScore;
+            if (reasonText) {
+                reasonText.textContent = reason || '';
+                reasonText.style.display = reason ? '' : 'none';
+            }
             overlay.classList.remove('hidden');
         }
     }
@@ -608,6 +1189,30 @@ class Game {
         const overlay = document.getElementById('game-complete-overlay');
         if (overlay) overlay.classList.add('hidden');
     }
+
+    /**
+     * Show game over overlay with the total score and level reached
+     * @param {string} reason - How the last life was lost
+     * @private
+     */
+    _showGameOverOverlay(reason) {
+        const overlay = document.getElementById('game-over-overlay');
+        const reasonText = document.getElementById('game-over-reason');
+        const scoreText = document.getElementById('game-over-score');
+        const levelText = document.getElementById('game-over-level');
+
+        if (overlay) {
+            if (reasonText) reasonText.textContent = reason;
+            if (scoreText) scoreText.textContent = this.totalScore;
+            if (levelText) levelText.textContent = this.level;
+            overlay.classList.remove('hidden');
+        }
+    }
+
+    hideGameOverOverlay() {
+        const overlay = document.getElementById('game-over-overlay');
+        if (overlay) overlay.classList.add('hidden');
+    }
 }
 
 // Create singleton instance
@@ -0,0 +1,521 @@
+/**
+ * ============================================================================
+ * EXIT VECTOR - LEVEL FORMAT MODULE
+ * ============================================================================
+ * Versioned JSON format for saving, sharing and hand-authoring levels.
+ *
+ * Example (version 1):
+ * {
+ *   "format": "exit-vector-level",
+ *   "version": 1,
+ *   "name": "Level 3",
+ *   "cols": 11, "rows": 13,
+ *   "grid": ["#####E#####", "#.........#", ..., "#X#########"],
+ *   "entry": { "x": 5, "y": 0 },
+ *   "exits": [{ "column": 1, "score": 500, "label": "500", "color": "#4ade80",
+ *               "start": 0, "end": 0.2 }, ...],
+ *   "ballCount": 1,
+ *   "targetScore": 1000
+ * }
+ *
+ * Grid characters: '#' wall, '.' path, 'E' entry, 'X' exit, 'O' hole,
+ * '>' one-way gate, '+' boost pad, '~' conveyor.
+ * Exit "start"/"end" are optional zone bounds as fractions of the maze width;
+ * without them zones split halfway between neighboring exits.
+ * Optional "level", "seed" and "algorithm" record where a level came from.
+ * Optional "objects" lists keys, doors, switches and gates by grid cell:
+ * { "type": "key"|"door"|"switch"|"gate", "channel": 0, "x": 3, "y": 5 },
+ * gates with "open": true|false. Keys open the doors of their channel,
+ * switches toggle the gates of theirs. Gems have a value instead of a
+ * channel: { "type": "gem", "x": 7, "y": 1, "value": 50 }. Bumpers sit on
+ * the wall of one side of their cell, kickers across one corner:
+ * { "type": "bumper", "x": 1, "y": 9, "side": "left" },
+ * { "type": "kicker", "x": 5, "y": 3, "side": "down-right" }.
+ * Portals come in pairs per channel and may turn the ball's velocity
+ * clockwise as it goes through:
+ * { "type": "portal", "channel": 0, "x": 9, "y": 1, "rotation": 90 }.
+ * "tiles" gives the direction of every one-way gate, boost pad and conveyor
+ * cell: { "x": 5, "y": 7, "direction": "up"|"right"|"down"|"left" }.
+ * Optional "surfaces" paints materials over the grid, one string per row:
+ * '.' plain floor, 'i' ice, 'm' mud, 's' sand.
+ * Optional "timeLimit" and "parTime" are in seconds; without them the level
+ * has no clock.
+ * Optional "ballMaterial" makes the level require balls of one material
+ * ("steel", "rubber", "glass" or "wood"); without it the player picks.
+ *
+ * @module level-format
+ * ============================================================================
+ */
+
+/**
+ * Format identifier stored in every level file
+ * @constant {string}
+ */
+const LEVEL_FORMAT_NAME = 'exit-vector-level';
+
+/**
+ * Current level format version
+ * @constant {number}
+ */
+const LEVEL_FORMAT_VERSION = 1;
+
+/**
+ * Grid characters and the cell types they stand for
+ * @constant {Object}
+ */
+const LEVEL_CELL_CHARS = {
+    '#': CELL_TYPES.WALL,
+    '.': CELL_TYPES.PATH,
+    'E': CELL_TYPES.ENTRY,
+    'X': CELL_TYPES.EXIT,
+    'O': CELL_TYPES.HOLE,
+    '>': CELL_TYPES.ONE_WAY,
+    '+': CELL_TYPES.BOOST,
+    '~': CELL_TYPES.CONVEYOR
+};
+
+/**
+ * Surface characters and the materials they stand for
+ * @constant {Object}
+ */
+const LEVEL_SURFACE_CHARS = {
+    '.': null,
+    'i': 'ice',
+    'm': 'mud',
+    's': 'sand'
+};
+
+/**
+ * LevelFormat class
+ * Converts between MazeGenerator state and level JSON
+ */
+class LevelFormat {
+    /**
+     * Export the maze generator's current state as level data
+     * @param {MazeGenerator} maze - Maze to export
+     * @param {Object} [options] - Extra level settings
+     * @param {string} [options.name] - Level name
+     * @param {number} [options.ballCount] - Balls to spawn
+     * @param {number} [options.targetScore] - Score needed to pass
+     * @param {number} [options.timeLimit] - Seconds before the level fails (0 for none)
+     * @param {number} [options.parTime] - Seconds to finish within for a bonus (0 for none)
+     * @param {string} [options.ballMaterial] - Ball material the level requires
+     * @returns {Object|null} Level data ready for JSON.stringify, or null for
+     *     hex and circular mazes (the format only describes square grids)
+     */
+    exportLevel(maze, options = {}) {
+        if (maze.topology && maze.topology !== 'grid') {
+            console.warn('Only square grid mazes can be exported, not', maze.topology);
+            return null;
+        }
+
+        return this.serialize({
+            name: options.name || `Level ${maze.level}`,
+            level: maze.level,
+            seed: maze.seed,
+            algorithm: maze.algorithm,
+            cols: maze.cols,
+            rows: maze.rows,
+            grid: maze.getGrid(),
+            entry: maze.entryCell,
+            exits: maze.getExitZones().map(zone => ({
+                column: zone.column,
+                score: zone.score,
+                label: zone.label,
+                color: zone.color,
+                start: zone.x / maze.width,
+                end: (zone.x + zone.width) / maze.width
+            })),
+            objects: maze.getObjectCells(),
+            tiles: maze.getTileCells(),
+            surfaces: maze.getSurfaceGrid(),
+            ballCount: options.ballCount || 1,
+            targetScore: options.targetScore !== undefined ? options.targetScore : getTargetScore(maze.level),
+            timeLimit: options.timeLimit,
+            parTime: options.parTime,
+            ballMaterial: options.ballMaterial
+        });
+    }
+
+    /**
+     * Convert a parsed level (grid of cell types) back to level data
+     * Inverse of parse().
+     * @param {Object} level - Parsed level
+     * @returns {Object} Level data ready for JSON.stringify
+     */
+    serialize(level) {
+        const charForType = {};
+        for (const [char, type] of Object.entries(LEVEL_CELL_CHARS)) {
+            charForType[type] = char;
+        }
+
+        const data = {
+            format: LEVEL_FORMAT_NAME,
+            version: LEVEL_FORMAT_VERSION,
+            name: level.name || 'Custom Level'
+        };
+
+        // Provenance of generated levels
+        if (level.level) data.level = level.level;
+        if (level.seed) data.seed = level.seed;
+        if (level.algorithm) data.algorithm = level.algorithm;
+
+        Object.assign(data, {
+            cols: level.cols,
+            rows: level.rows,
+            grid: level.grid.map(row => row.map(type => charForType[type] || '.').join('')),
+            entry: level.entry ? { x: level.entry.x, y: level.entry.y } : null,
+            exits: level.exits.map(exit => {
+                const copy = { column: exit.column, score: exit.score, label: exit.label, color: exit.color };
+                if (exit.start !== undefined) copy.start = exit.start;
+                if (exit.end !== undefined) copy.end = exit.end;
+                return copy;
+            })
+        });
+
+        if (level.objects && level.objects.length > 0) {
+            data.objects = level.objects.map(object => ({ ...object }));
+        }
+
+        // Directions of tiles still on the grid (editing can paint over them)
+        const tiles = (level.tiles || []).filter(tile =>
+            level.grid[tile.y] && TILE_CELL_TYPES.includes(level.grid[tile.y][tile.x]));
+        if (tiles.length > 0) {
+            data.tiles = tiles.map(tile => ({ x: tile.x, y: tile.y, direction: tile.direction }));
+        }
+
+        if (level.surfaces && level.surfaces.some(row => row.some(material => material))) {
+            const charForMaterial = {};
+            for (const [char, material] of Object.entries(LEVEL_SURFACE_CHARS)) {
+                charForMaterial[material] = char;
+            }
+            data.surfaces = level.surfaces.map(row => row.map(material => charForMaterial[material] || '.').join(''));
+        }
+
+        data.ballCount = level.ballCount;
+        data.targetScore = level.targetScore;
+        if (level.timeLimit > 0) data.timeLimit = level.timeLimit;
+        if (level.parTime > 0) data.parTime = level.parTime;
+        if (level.ballMaterial) data.ballMaterial = level.ballMaterial;
+        return data;
+    }
+
+    /**
+     * Serialize level data to JSON text
+     * @param {Object} level - Level data (from exportLevel)
+     * @returns {string} JSON text
+     */
+    stringify(level) {
+        return JSON.stringify(level, null, 2);
+    }
+
+    /**
+     * Check level data against the format
+     * @param {Object} data - Raw level data (grid as strings)
+     * @returns {string[]} Problems found (empty if valid)
+     */
+    validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object') {
+            return ['Level data must be an object'];
+        }
+        if (data.format !== LEVEL_FORMAT_NAME) {
+            errors.push(`Unknown format "${data.format}"`);
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > LEVEL_FORMAT_VERSION) {
+            errors.push(`Unsupported version ${data.version}`);
+        }
+        if (!Number.isInteger(data.cols) || data.cols < 3 || !Number.isInteger(data.rows) || data.rows < 3) {
+            errors.push('cols and rows must be integers of at least 3');
+            return errors;
+        }
+
+        // Grid shape and characters
+        if (!Array.isArray(data.grid) || data.grid.length !== data.rows) {
+            errors.push(`grid must have ${data.rows} rows`);
+            return errors;
+        }
+        data.grid.forEach((row, y) => {
+            if (typeof row !== 'string' || row.length !== data.cols) {
+                errors.push(`grid row ${y} must be a string of ${data.cols} characters`);
+            } else if ([...row].some(char => !(char in LEVEL_CELL_CHARS))) {
+                errors.push(`grid row ${y} has unknown characters`);
+            }
+        });
+        if (errors.length > 0) return errors;
+
+        // Entry
+        const entries = data.grid.join('').split('E').length - 1;
+        if (entries !== 1) {
+            errors.push(`grid must have exactly one entry, found ${entries}`);
+        }
+        if (!data.entry || data.grid[data.entry.y] === undefined || data.grid[data.entry.y][data.entry.x] !== 'E') {
+            errors.push('entry must point at the E cell of the grid');
+        }
+
+        // Exits
+        if (!Array.isArray(data.exits) || data.exits.length === 0) {
+            errors.push('exits must list at least one exit');
+        } else {
+            const bottomRow = data.grid[data.rows - 1];
+            data.exits.forEach((exit, i) => {
+                if (!exit || bottomRow[exit.column] !== 'X') {
+                    errors.push(`exit ${i} must point at an X cell on the bottom row`);
+                } else if (typeof exit.score !== 'number') {
+                    errors.push(`exit ${i} needs a numeric score`);
+                }
+            });
+        }
+
+        // Maze objects
+        if (data.objects !== undefined) {
+            this._validateObjects(data, errors);
+        }
+
+        // Floor tiles
+        this._validateTiles(data, errors);
+
+        // Surface materials
+        if (data.surfaces !== undefined) {
+            if (!Array.isArray(data.surfaces) || data.surfaces.length !== data.rows) {
+                errors.push(`surfaces must have ${data.rows} rows`);
+            } else if (data.surfaces.some(row => typeof row !== 'string' || row.length !== data.cols
+                || [...row].some(char => !(char in LEVEL_SURFACE_CHARS)))) {
+                errors.push(`surfaces rows must be strings of ${data.cols} of the characters ${Object.keys(LEVEL_SURFACE_CHARS).join('')}`);
+            }
+        }
+
+        // Level settings
+        if (!Number.isInteger(data.ballCount) || data.ballCount < 1) {
+            errors.push('ballCount must be a positive integer');
+        }
+        if (typeof data.targetScore !== 'number' || data.targetScore < 0) {
+            errors.push('targetScore must be a non-negative number');
+        }
+        for (const field of ['timeLimit', 'parTime']) {
+            if (data[field] !== undefined && (typeof data[field] !== 'number' || !(data[field] > 0))) {
+                errors.push(`${field} must be a positive number of seconds`);
+            }
+        }
+        if (data.timeLimit > 0 && data.parTime > data.timeLimit) {
+            errors.push('parTime must not be longer than timeLimit');
+        }
+        if (data.ballMaterial !== undefined && !BALL_CONFIG.materials[data.ballMaterial]) {
+            errors.push(`ballMaterial must be one of ${Object.keys(BALL_CONFIG.materials).join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the optional maze objects of level data
+     * @param {Object} data - Raw level data with a valid grid
+     * @param {string[]} errors - Problems found so far (appended to)
+     * @private
+     */
+    _validateObjects(data, errors) {
+        if (!Array.isArray(data.objects)) {
+            errors.push('objects must be a list');
+            return;
+        }
+
+        // Objects are checked against each other, so every entry must be one
+        const malformed = data.objects.filter(object => !object || typeof object !== 'object');
+        if (malformed.length > 0) {
+            data.objects.forEach((object, i) => {
+                if (malformed.includes(object)) errors.push(`object ${i} must be an object`);
+            });
+            return;
+        }
+
+        const types = Object.values(MAZE_OBJECT_TYPES);
+        const has = (type, channel) => data.objects.some(object => object.type === type && object.channel === channel);
+        const sides = {
+            [MAZE_OBJECT_TYPES.BUMPER]: DIRECTIONS.map(dir => dir.name),
+            [MAZE_OBJECT_TYPES.KICKER]: KICKER_CORNERS
+        };
+
+        data.objects.forEach((object, i) => {
+            if (!types.includes(object.type)) {
+                errors.push(`object ${i} has unknown type`);
+            } else if (object.type === MAZE_OBJECT_TYPES.GEM
+                && (typeof object.value !== 'number' || object.value <= 0)) {
+                errors.push(`gem ${i} needs a positive value`);
+            } else if (sides[object.type] && !sides[object.type].includes(object.side)) {
+                errors.push(`${object.type} ${i} needs a side of ${sides[object.type].join(', ')}`);
+            } else if (object.type !== MAZE_OBJECT_TYPES.GEM && !sides[object.type]
+                && (!Number.isInteger(object.channel) || object.channel < 0)) {
+                errors.push(`object ${i} needs a channel of 0 or more`);
+            } else if (!data.grid[object.y] || data.grid[object.y][object.x] === undefined
+                || data.grid[object.y][object.x] === '#') {
+                errors.push(`object ${i} must be on an open grid cell`);
+            } else if (object.type === MAZE_OBJECT_TYPES.DOOR && !has(MAZE_OBJECT_TYPES.KEY, object.channel)) {
+                errors.push(`door ${i} has no key on channel ${object.channel}`);
+            } else if (object.type === MAZE_OBJECT_TYPES.GATE && !has(MAZE_OBJECT_TYPES.SWITCH, object.channel)) {
+                errors.push(`gate ${i} has no switch on channel ${object.channel}`);
+            } else if (object.type === MAZE_OBJECT_TYPES.PORTAL && data.objects.filter(other =>
+                other && other.type === MAZE_OBJECT_TYPES.PORTAL && other.channel === object.channel).length !== 2) {
+                errors.push(`portal ${i} needs exactly one partner on channel ${object.channel}`);
+            } else if (object.type === MAZE_OBJECT_TYPES.PORTAL && object.rotation !== undefined
+                && !Number.isFinite(object.rotation)) {
+                errors.push(`portal ${i} rotation must be a number of degrees`);
+            }
+        });
+    }
+
+    /**
+     * Check that every floor tile cell of level data has one direction
+     * @param {Object} data - Raw level data with a valid grid
+     * @param {string[]} errors - Problems found so far (appended to)
+     * @private
+     */
+    _validateTiles(data, errors) {
+        const tiles = data.tiles === undefined ? [] : data.tiles;
+        if (!Array.isArray(tiles)) {
+            errors.push('tiles must be a list');
+            return;
+        }
+
+        const directions = DIRECTIONS.map(dir => dir.name);
+        const isTile = (x, y) => data.grid[y] !== undefined
+            && TILE_CELL_TYPES.includes(LEVEL_CELL_CHARS[data.grid[y][x]]);
+
+        tiles.forEach((tile, i) => {
+            if (!tile || !isTile(tile.x, tile.y)) {
+                errors.push(`tile ${i} must be on a '>', '+' or '~' grid cell`);
+            } else if (!directions.includes(tile.direction)) {
+                errors.push(`tile ${i} needs a direction of ${directions.join(', ')}`);
+            }
+        });
+
+        data.grid.forEach((row, y) => {
+            [...row].forEach((char, x) => {
+                if (!isTile(x, y)) return;
+                const count = tiles.filter(tile => tile && tile.x === x && tile.y === y).length;
+                if (count !== 1) errors.push(`tile cell (${x}, ${y}) needs exactly one direction`);
+            });
+        });
+    }
+
+    /**
+     * Parse and validate level JSON
+     * @param {string|Object} input - JSON text or already parsed data
+     * @returns {Object|null} Level with the grid as cell types, or null if invalid
+     */
+    parse(input) {
+        let data = input;
+
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                console.error('Level is not valid JSON:', error.message);
+                return null;
+            }
+        }
+
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            console.error('Invalid level:', errors.join('; '));
+            return null;
+        }
+
+        return {
+            ...data,
+            grid: data.grid.map(row => [...row].map(char => LEVEL_CELL_CHARS[char])),
+            exits: [...data.exits]
+                .sort((a, b) => a.column - b.column)
+                .map(exit => ({
+                    column: exit.column,
+                    score: exit.score,
+                    label: exit.label !== undefined ? String(exit.label) : String(exit.score),
+                    color: exit.color || '#94a3b8',
+                    start: exit.start,
+                    end: exit.end
+                })),
+            objects: (data.objects || []).map(object => {
+                if (object.type === MAZE_OBJECT_TYPES.GEM) {
+                    return { type: object.type, x: object.x, y: object.y, value: object.value };
+                }
+                if (object.type === MAZE_OBJECT_TYPES.BUMPER || object.type === MAZE_OBJECT_TYPES.KICKER) {
+                    return { type: object.type, x: object.x, y: object.y, side: object.side };
+                }
+
+                const copy = { type: object.type, channel: object.channel, x: object.x, y: object.y };
+                if (object.type === MAZE_OBJECT_TYPES.GATE) copy.open = object.open === true;
+                if (object.type === MAZE_OBJECT_TYPES.PORTAL) copy.rotation = object.rotation || 0;
+                return copy;
+            }),
+            tiles: (data.tiles || []).map(tile => ({ x: tile.x, y: tile.y, direction: tile.direction })),
+            surfaces: data.surfaces
+                ? data.surfaces.map(row => [...row].map(char => LEVEL_SURFACE_CHARS[char]))
+                : null
+        };
+    }
+
+    /**
+     * Load a parsed level into the maze, renderer and physics,
+     * skipping maze generation
+     * @param {Object} level - Parsed level (from parse)
+     * @param {number} canvasWidth - Canvas width for scaling
+     * @param {number} canvasHeight - Canvas height for scaling
+     */
+    load(level, canvasWidth, canvasHeight) {
+        const maze = window.MazeGenerator;
+        maze.loadLevel(level, canvasWidth, canvasHeight);
+
+        const dimensions = maze.getDimensions();
+        window.Renderer.setMazeDimensions(dimensions);
+
+        window.PhysicsEngine.init(
+            maze.getSpawnPositions(level.ballCount),
+            maze.getWalls(),
+            maze.getExitZones(),
+            dimensions.width,
+            dimensions.height,
+            dimensions.ballRadius
+        );
+        window.PhysicsEngine.setHoles(maze.getHoles());
+        window.PhysicsEngine.setObjects(maze.getObjects());
+        window.PhysicsEngine.setTiles(maze.getTiles());
+        window.PhysicsEngine.setSurfaces(maze.getSurfaces());
+    }
+
+    /**
+     * Offer level data as a JSON file download
+     * @param {Object} level - Level data (from exportLevel)
+     * @param {string} [filename] - Download file name
+     */
+    download(level, filename = null) {
+        const blob = new Blob([this.stringify(level)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename || `${(level.name || 'level').replace(/[^\w-]+/g, '-').toLowerCase()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Read and parse a level file chosen by the user
+     * @param {File} file - File from an <input type="file">
+     * @returns {Promise<Object|null>} Parsed level or null if invalid
+     */
+    async readFile(file) {
+        const text = await file.text();
+        return this.parse(text);
+    }
+}
+
+// Create singleton instance
+const levelFormat = new LevelFormat();
+
+// Export for use in other modules
+window.LevelFormat = levelFormat;
+window.LEVEL_CELL_CHARS = LEVEL_CELL_CHARS;
+window.LEVEL_SURFACE_CHARS = LEVEL_SURFACE_CHARS;
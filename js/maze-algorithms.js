@@ -0,0 +1,420 @@
+/**
+ * ============================================================================
+ * EXIT VECTOR - MAZE ALGORITHMS MODULE
+ * ============================================================================
+ * Interchangeable maze carving strategies.
+ *
+ * Every strategy carves a perfect maze (one route between any two cells)
+ * into a cell graph supplied by MazeGenerator, so they all produce the same
+ * grid format for exits, wall rectangles and rendering.
+ *
+ * Strategy interface:
+ * - name:  Human-readable name
+ * - code:  Short identifier used in share codes
+ * - carve(graph, rng): Link cells of the graph into a spanning tree
+ * - rectangular: true if carve() walks rows and columns via id(cx, cy),
+ *                so it needs a graph with rectangular set (see below)
+ *
+ * Cell graph interface:
+ * - cellCount:        Number of cells
+ * - width, height:    Size in cells
+ * - rectangular:      Whether id(cx, cy) covers width x height cells with
+ *                     (cx ± 1, cy) and (cx, cy ± 1) adjacent
+ * - start:            Cell id carving starts from
+ * - id(cx, cy):       Cell id for cell coordinates
+ * - coords(id):       Cell coordinates { cx, cy } for an id
+ * - neighbors(id):    Ids of adjacent cells
+ * - link(a, b):       Open the wall between two adjacent cells
+ * - isLinked(a, b):   Whether two adjacent cells are connected
+ *
+ * After carving, braidMaze() can turn the perfect maze into one with loops.
+ *
+ * @module maze-algorithms
+ * ============================================================================
+ */
+
+/**
+ * Recursive backtracking (depth-first search)
+ * Long winding corridors with few, long dead ends.
+ * Uses an explicit stack so very large mazes cannot overflow the call stack.
+ * @constant {Object}
+ */
+const BacktrackerAlgorithm = {
+    name: 'Recursive Backtracker',
+    code: 'rb',
+
+    /**
+     * Carve maze from the graph start cell
+     * @param {Object} graph - Cell graph
+     * @param {SeededRandom} rng - Random number generator
+     */
+    carve(graph, rng) {
+        const visited = new Uint8Array(graph.cellCount);
+        const stack = [graph.start];
+        visited[graph.start] = 1;
+
+        while (stack.length > 0) {
+            const current = stack[stack.length - 1];
+            const unvisited = graph.neighbors(current).filter(next => !visited[next]);
+
+            if (unvisited.length === 0) {
+                // Dead end: backtrack
+                stack.pop();
+                continue;
+            }
+
+            const next = unvisited[rng.nextInt(0, unvisited.length)];
+            graph.link(current, next);
+            visited[next] = 1;
+            stack.push(next);
+        }
+    }
+};
+
+/**
+ * Randomized Prim's algorithm
+ * Grows the maze from a random frontier: many short dead ends.
+ * @constant {Object}
+ */
+const PrimAlgorithm = {
+    name: "Prim's",
+    code: 'pr',
+
+    /**
+     * Carve maze by growing from the graph start cell
+     * @param {Object} graph - Cell graph
+     * @param {SeededRandom} rng - Random number generator
+     */
+    carve(graph, rng) {
+        const inMaze = new Uint8Array(graph.cellCount);
+        const inFrontier = new Uint8Array(graph.cellCount);
+        const frontier = [];
+
+        const addFrontier = (id) => {
+            for (const next of graph.neighbors(id)) {
+                if (!inMaze[next] && !inFrontier[next]) {
+                    inFrontier[next] = 1;
+                    frontier.push(next);
+                }
+            }
+        };
+
+        inMaze[graph.start] = 1;
+        addFrontier(graph.start);
+
+        while (frontier.length > 0) {
+            // Remove a random frontier cell (swap with last for O(1))
+            const index = rng.nextInt(0, frontier.length);
+            const cell = frontier[index];
+            frontier[index] = frontier[frontier.length - 1];
+            frontier.pop();
+
+            // Attach it to a random neighbor already in the maze
+            const connected = graph.neighbors(cell).filter(next => inMaze[next]);
+            graph.link(cell, connected[rng.nextInt(0, connected.length)]);
+
+            inMaze[cell] = 1;
+            addFrontier(cell);
+        }
+    }
+};
+
+/**
+ * Randomized Kruskal's algorithm
+ * Joins random walls between disjoint regions: evenly spread short branches.
+ * @constant {Object}
+ */
+const KruskalAlgorithm = {
+    name: "Kruskal's",
+    code: 'kr',
+
+    /**
+     * Carve maze by merging cell sets across random walls
+     * @param {Object} graph - Cell graph
+     * @param {SeededRandom} rng - Random number generator
+     */
+    carve(graph, rng) {
+        const parent = new Int32Array(graph.cellCount);
+        for (let i = 0; i < parent.length; i++) parent[i] = i;
+
+        const find = (id) => {
+            while (parent[id] !== id) {
+                parent[id] = parent[parent[id]];
+                id = parent[id];
+            }
+            return id;
+        };
+
+        // Every wall between two cells, listed once
+        const edges = [];
+        for (let id = 0; id < graph.cellCount; id++) {
+            for (const next of graph.neighbors(id)) {
+                if (next > id) edges.push([id, next]);
+            }
+        }
+
+        for (const [a, b] of rng.shuffle(edges)) {
+            const rootA = find(a);
+            const rootB = find(b);
+
+            if (rootA !== rootB) {
+                parent[rootB] = rootA;
+                graph.link(a, b);
+            }
+        }
+    }
+};
+
+/**
+ * Wilson's algorithm (loop-erased random walks)
+ * Uniform spanning tree: no directional bias at all.
+ * @constant {Object}
+ */
+const WilsonAlgorithm = {
+    name: "Wilson's",
+    code: 'wi',
+
+    /**
+     * Carve maze with loop-erased random walks into the growing maze
+     * @param {Object} graph - Cell graph
+     * @param {SeededRandom} rng - Random number generator
+     */
+    carve(graph, rng) {
+        const inMaze = new Uint8Array(graph.cellCount);
+        const pathIndex = new Int32Array(graph.cellCount).fill(-1);
+
+        inMaze[graph.start] = 1;
+
+        const order = rng.shuffle(Array.from({ length: graph.cellCount }, (_, id) => id));
+
+        for (const origin of order) {
+            if (inMaze[origin]) continue;
+
+            // Random walk until the maze is hit, erasing loops as they form
+            const path = [origin];
+            pathIndex[origin] = 0;
+            let current = origin;
+
+            while (!inMaze[current]) {
+                const neighbors = graph.neighbors(current);
+                const next = neighbors[rng.nextInt(0, neighbors.length)];
+
+                if (pathIndex[next] >= 0) {
+                    // Loop: cut the path back to where it first visited next
+                    for (let i = pathIndex[next] + 1; i < path.length; i++) {
+                        pathIndex[path[i]] = -1;
+                    }
+                    path.length = pathIndex[next] + 1;
+                } else {
+                    pathIndex[next] = path.length;
+                    path.push(next);
+                }
+
+                current = next;
+            }
+
+            // Add the loop-free walk to the maze
+            for (let i = 0; i < path.length - 1; i++) {
+                graph.link(path[i], path[i + 1]);
+                inMaze[path[i]] = 1;
+            }
+            for (const id of path) pathIndex[id] = -1;
+        }
+    }
+};
+
+/**
+ * Eller's algorithm
+ * Builds the maze one row at a time while tracking connected sets.
+ * @constant {Object}
+ */
+const EllerAlgorithm = {
+    name: "Eller's",
+    code: 'el',
+    rectangular: true,
+
+    /**
+     * Carve maze row by row
+     * @param {Object} graph - Cell graph (rectangular)
+     * @param {SeededRandom} rng - Random number generator
+     */
+    carve(graph, rng) {
+        const { width, height } = graph;
+        let sets = new Array(width).fill(0);
+        let nextSet = 1;
+
+        for (let cy = 0; cy < height; cy++) {
+            const lastRow = cy === height - 1;
+
+            // Cells not joined from above start their own set
+            for (let cx = 0; cx < width; cx++) {
+                if (!sets[cx]) sets[cx] = nextSet++;
+            }
+
+            // Randomly join horizontal neighbors in different sets
+            // (the last row joins all of them so the maze is connected)
+            for (let cx = 0; cx < width - 1; cx++) {
+                if (sets[cx] !== sets[cx + 1] && (lastRow || rng.next() < 0.5)) {
+                    graph.link(graph.id(cx, cy), graph.id(cx + 1, cy));
+
+                    const merged = sets[cx + 1];
+                    for (let i = 0; i < width; i++) {
+                        if (sets[i] === merged) sets[i] = sets[cx];
+                    }
+                }
+            }
+
+            if (lastRow) break;
+
+            // Every set continues downward at least once
+            const members = new Map();
+            for (let cx = 0; cx < width; cx++) {
+                if (!members.has(sets[cx])) members.set(sets[cx], []);
+                members.get(sets[cx]).push(cx);
+            }
+
+            const nextSets = new Array(width).fill(0);
+            for (const [set, columns] of members) {
+                const shuffled = rng.shuffle(columns);
+                const drops = 1 + rng.nextInt(0, shuffled.length);
+
+                for (let i = 0; i < drops; i++) {
+                    const cx = shuffled[i];
+                    graph.link(graph.id(cx, cy), graph.id(cx, cy + 1));
+                    nextSets[cx] = set;
+                }
+            }
+
+            sets = nextSets;
+        }
+    }
+};
+
+/**
+ * Binary tree algorithm
+ * Each cell opens north or east: fast, with a strong diagonal bias
+ * and open corridors along the top row and right column.
+ * @constant {Object}
+ */
+const BinaryTreeAlgorithm = {
+    name: 'Binary Tree',
+    code: 'bt',
+    rectangular: true,
+
+    /**
+     * Carve maze one cell at a time
+     * @param {Object} graph - Cell graph (rectangular)
+     * @param {SeededRandom} rng - Random number generator
+     */
+    carve(graph, rng) {
+        for (let cy = 0; cy < graph.height; cy++) {
+            for (let cx = 0; cx < graph.width; cx++) {
+                const options = [];
+                if (cy > 0) options.push(graph.id(cx, cy - 1));
+                if (cx < graph.width - 1) options.push(graph.id(cx + 1, cy));
+
+                if (options.length > 0) {
+                    graph.link(graph.id(cx, cy), options[rng.nextInt(0, options.length)]);
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Sidewinder algorithm
+ * Horizontal runs each joined upward once: an open top row and
+ * long east-west corridors.
+ * @constant {Object}
+ */
+const SidewinderAlgorithm = {
+    name: 'Sidewinder',
+    code: 'sw',
+    rectangular: true,
+
+    /**
+     * Carve maze row by row
+     * @param {Object} graph - Cell graph (rectangular)
+     * @param {SeededRandom} rng - Random number generator
+     */
+    carve(graph, rng) {
+        for (let cy = 0; cy < graph.height; cy++) {
+            let run = [];
+
+            for (let cx = 0; cx < graph.width; cx++) {
+                run.push(cx);
+
+                const atEastEdge = cx === graph.width - 1;
+                const atTop = cy === 0;
+                const closeRun = atEastEdge || (!atTop && rng.next() < 0.5);
+
+                if (closeRun) {
+                    if (!atTop) {
+                        // Join the run to the row above from a random member
+                        const member = run[rng.nextInt(0, run.length)];
+                        graph.link(graph.id(member, cy), graph.id(member, cy - 1));
+                    }
+                    run = [];
+                } else {
+                    graph.link(graph.id(cx, cy), graph.id(cx + 1, cy));
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Registry of available maze algorithms, keyed by config name
+ * @constant {Object}
+ */
+const MAZE_ALGORITHMS = {
+    backtracker: BacktrackerAlgorithm,
+    prim: PrimAlgorithm,
+    kruskal: KruskalAlgorithm,
+    wilson: WilsonAlgorithm,
+    eller: EllerAlgorithm,
+    binaryTree: BinaryTreeAlgorithm,
+    sidewinder: SidewinderAlgorithm
+};
+
+/**
+ * Remove dead ends from a carved maze, opening loops
+ * Each dead end is opened with probability `factor`, preferring a wall
+ * shared with another dead end so one removal fixes both.
+ * @param {Object} graph - Carved cell graph
+ * @param {SeededRandom} rng - Random number generator
+ * @param {number} factor - Fraction of dead ends to remove (0-1)
+ * @returns {number} Number of walls removed
+ */
+function braidMaze(graph, rng, factor) {
+    if (factor <= 0) return 0;
+
+    const linkCount = (id) => graph.neighbors(id).filter(next => graph.isLinked(id, next)).length;
+
+    const deadEnds = [];
+    for (let id = 0; id < graph.cellCount; id++) {
+        if (linkCount(id) === 1) deadEnds.push(id);
+    }
+
+    let removed = 0;
+
+    for (const id of rng.shuffle(deadEnds)) {
+        // An earlier removal may already have opened this dead end
+        if (linkCount(id) !== 1 || rng.next() >= factor) continue;
+
+        const closed = graph.neighbors(id).filter(next => !graph.isLinked(id, next));
+        if (closed.length === 0) continue;
+
+        const pairedDeadEnds = closed.filter(next => linkCount(next) === 1);
+        const candidates = pairedDeadEnds.length > 0 ? pairedDeadEnds : closed;
+
+        graph.link(id, candidates[rng.nextInt(0, candidates.length)]);
+        removed++;
+    }
+
+    return removed;
+}
+
+// Export for use in other modules
+window.MAZE_ALGORITHMS = MAZE_ALGORITHMS;
+window.braidMaze = braidMaze;
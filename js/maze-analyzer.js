@@ -0,0 +1,483 @@
+/**
+ * ============================================================================
+ * EXIT VECTOR - MAZE ANALYZER MODULE
+ * ============================================================================
+ * Solves generated mazes and measures how hard they are.
+ *
+ * Features:
+ * - Shortest route from the entry to every exit (breadth-first search)
+ * - Turns and decision points along each route
+ * - Dead-end, junction and branching statistics
+ * - Single difficulty score per maze
+ * - Grid mazes and cell-graph mazes (hex and circular topologies)
+ * - One-way gates only crossed in their direction
+ * - Portal pairs as extra edges between their cells
+ *
+ * @module maze-analyzer
+ * ============================================================================
+ */
+
+/**
+ * MazeAnalyzer class
+ * Stateless analysis of maze grids
+ */
+class MazeAnalyzer {
+    /**
+     * Analyze a maze generator's current maze
+     * @param {MazeGenerator} maze - Maze with grid and exit columns
+     * @returns {Object} Analysis (see analyzeGrid)
+     */
+    analyze(maze) {
+        if (maze.topology && maze.topology !== 'grid') {
+            return this.analyzeGraph(maze.cellGraph, maze.cellGraph.entry, maze.exitCells, maze.exitColumns);
+        }
+        return this.analyzeGrid(maze.getGrid(), maze.exitColumns, maze.tileCells, maze.getPortalCells());
+    }
+
+    /**
+     * Analyze a carved cell graph (hex and circular mazes)
+     * Lengths count two steps per cell, like a move between two grid
+     * cells, so difficulty compares with grid mazes.
+     * @param {Object} graph - Carved cell graph (see maze-topologies.js)
+     * @param {number} entry - Entry cell id
+     * @param {number[]} exitCells - Exit cell ids
+     * @param {number[]} [columns] - Exit labels reported as route columns
+     * @returns {Object} Analysis in the shape of analyzeGrid(), with cell
+     *     ids as entry and path entries
+     */
+    analyzeGraph(graph, entry, exitCells, columns = exitCells) {
+        const linked = (id) => graph.neighbors(id).filter(next => graph.isLinked(id, next));
+
+        // Breadth-first search over open walls
+        const distance = new Int32Array(graph.cellCount).fill(-1);
+        const parent = new Int32Array(graph.cellCount).fill(-1);
+        distance[entry] = 0;
+
+        const queue = [entry];
+        for (let head = 0; head < queue.length; head++) {
+            const id = queue[head];
+            for (const next of linked(id)) {
+                if (distance[next] >= 0) continue;
+                distance[next] = distance[id] + 1;
+                parent[next] = id;
+                queue.push(next);
+            }
+        }
+
+        let deadEnds = 0;
+        let junctions = 0;
+        let junctionChoices = 0;
+        const exitSet = new Set(exitCells);
+
+        for (const id of queue) {
+            const degree = linked(id).length;
+            if (degree === 1 && id !== entry && !exitSet.has(id)) {
+                deadEnds++;
+            } else if (degree >= 3) {
+                junctions++;
+                junctionChoices += degree - 1;
+            }
+        }
+
+        const exits = exitCells.map((cell, index) => {
+            const column = columns[index];
+            if (distance[cell] < 0) {
+                return { column, reachable: false, length: -1, turns: 0, decisions: 0, difficulty: 0, path: [] };
+            }
+
+            const path = [];
+            for (let id = cell; id >= 0; id = parent[id]) path.push(id);
+            path.reverse();
+
+            let turns = 0;
+            let decisions = 0;
+            for (let i = 1; i < path.length - 1; i++) {
+                if (graph.direction(path[i - 1], path[i]) !== graph.direction(path[i], path[i + 1])) turns++;
+                if (linked(path[i]).length >= 3) decisions++;
+            }
+
+            const length = (path.length - 1) * 2;
+            const difficulty = length * ANALYSIS_CONFIG.lengthWeight
+                + turns * ANALYSIS_CONFIG.turnWeight
+                + decisions * ANALYSIS_CONFIG.decisionWeight;
+
+            return { column, reachable: true, length, turns, decisions, difficulty, path };
+        });
+
+        const reachable = exits.filter(exit => exit.reachable);
+        const shortestPath = reachable.length > 0
+            ? Math.min(...reachable.map(exit => exit.length))
+            : -1;
+        const routeDifficulty = reachable.length > 0
+            ? reachable.reduce((sum, exit) => sum + exit.difficulty, 0) / reachable.length
+            : 0;
+
+        return {
+            entry,
+            exits,
+            openCells: graph.cellCount,
+            reachableCells: queue.length,
+            deadEnds,
+            junctions,
+            branchingFactor: junctions > 0 ? junctionChoices / junctions : 1,
+            shortestPath,
+            difficulty: Math.round(routeDifficulty + deadEnds * ANALYSIS_CONFIG.deadEndWeight)
+        };
+    }
+
+    /**
+     * Analyze a maze grid from its entry cell
+     * @param {number[][]} grid - 2D grid of cell types
+     * @param {number[]} [exitColumns] - Exit columns on the bottom row
+     *     (defaults to every EXIT cell on the bottom row)
+     * @param {Object[]} [tiles] - Floor tile directions { x, y, direction };
+     *     one-way gates among them cannot be entered against their direction
+     * @param {Object[]} [portals] - Portal cells { channel, x, y }; the two
+     *     portals of a channel lead into each other
+     * @returns {Object} Analysis:
+     *     entry, exits[] ({ column, reachable, length, turns, decisions,
+     *     difficulty, path }), openCells, reachableCells, deadEnds, junctions,
+     *     branchingFactor, shortestPath and difficulty
+     */
+    analyzeGrid(grid, exitColumns = null, tiles = null, portals = null) {
+        const rows = grid.length;
+        const cols = rows > 0 ? grid[0].length : 0;
+
+        const entry = this._findEntry(grid);
+        const columns = exitColumns || this._findExitColumns(grid);
+
+        const { distance, parent } = this._search(grid, [entry], tiles, portals);
+
+        // Cell statistics over the part of the maze the ball can reach
+        let openCells = 0;
+        let reachableCells = 0;
+        let deadEnds = 0;
+        let junctions = 0;
+        let junctionChoices = 0;
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                if (!this._isOpen(grid[y][x])) continue;
+                openCells++;
+
+                if (distance[y * cols + x] < 0) continue;
+                reachableCells++;
+
+                const type = grid[y][x];
+                const degree = this._degree(grid, x, y);
+
+                if (degree === 1 && type !== CELL_TYPES.ENTRY && type !== CELL_TYPES.EXIT) {
+                    deadEnds++;
+                } else if (degree >= 3) {
+                    junctions++;
+                    junctionChoices += degree - 1;
+                }
+            }
+        }
+
+        const exits = columns.map(column => this._analyzeRoute(grid, parent, distance, column));
+        const reachable = exits.filter(exit => exit.reachable);
+
+        const shortestPath = reachable.length > 0
+            ? Math.min(...reachable.map(exit => exit.length))
+            : -1;
+
+        // Average route difficulty, made harder by dead ends to wander into
+        const routeDifficulty = reachable.length > 0
+            ? reachable.reduce((sum, exit) => sum + exit.difficulty, 0) / reachable.length
+            : 0;
+        const difficulty = Math.round(routeDifficulty + deadEnds * ANALYSIS_CONFIG.deadEndWeight);
+
+        return {
+            entry,
+            exits,
+            openCells,
+            reachableCells,
+            deadEnds,
+            junctions,
+            branchingFactor: junctions > 0 ? junctionChoices / junctions : 1,
+            shortestPath,
+            difficulty
+        };
+    }
+
+    /**
+     * Measure how far every cell is from a start cell
+     * @param {number[][]} grid - 2D grid of cell types
+     * @param {Object} start - Start cell { x, y }
+     * @param {Object[]} [tiles] - Floor tile directions (see analyzeGrid)
+     * @param {Object[]} [portals] - Portal cells (see analyzeGrid)
+     * @returns {Int32Array} Steps per cell (index y * cols + x), -1 if unreachable
+     */
+    findDistances(grid, start, tiles = null, portals = null) {
+        return this._search(grid, [start], tiles, portals).distance;
+    }
+
+    /**
+     * Measure how far every cell is from the nearest target cell, rolling
+     * toward it (one-way gates make this differ from findDistances)
+     * @param {number[][]} grid - 2D grid of cell types
+     * @param {Object[]} targets - Target cells { x, y }
+     * @param {Object[]} [tiles] - Floor tile directions (see analyzeGrid)
+     * @param {Object[]} [portals] - Portal cells (see analyzeGrid)
+     * @returns {Int32Array} Steps per cell (index y * cols + x), -1 if no target can be reached
+     */
+    findDistancesTo(grid, targets, tiles = null, portals = null) {
+        return this._search(grid, targets, tiles, portals, true).distance;
+    }
+
+    /**
+     * Find the shortest path between two cells
+     * @param {number[][]} grid - 2D grid of cell types
+     * @param {Object} from - Start cell { x, y }
+     * @param {Object} to - Target cell { x, y }
+     * @returns {Object[]|null} Cells from start to target, or null if unreachable
+     */
+    findPath(grid, from, to) {
+        const cols = grid[0].length;
+        const { parent, distance } = this._search(grid, [from]);
+
+        if (distance[to.y * cols + to.x] < 0) return null;
+
+        return this._tracePath(parent, cols, to);
+    }
+
+    /**
+     * Breadth-first search over open cells
+     * @param {number[][]} grid - 2D grid of cell types
+     * @param {Object[]} starts - Start cells { x, y }
+     * @param {Object[]} [tiles] - Floor tile directions (see analyzeGrid)
+     * @param {Object[]} [portals] - Portal cells (see analyzeGrid)
+     * @param {boolean} [reverse] - Follow moves backwards, to find the
+     *     cells that can roll to a start
+     * @returns {Object} { distance, parent } flat arrays indexed y * cols + x
+     * @private
+     */
+    _search(grid, starts, tiles = null, portals = null, reverse = false) {
+        const rows = grid.length;
+        const cols = grid[0].length;
+        const distance = new Int32Array(rows * cols).fill(-1);
+        const parent = new Int32Array(rows * cols).fill(-1);
+        const gates = this._mapOneWayGates(grid, tiles);
+        const links = this._linkPortals(grid, portals);
+
+        const queue = [];
+        for (const start of starts) {
+            const startIndex = start.y * cols + start.x;
+            if (distance[startIndex] === 0) continue;
+            distance[startIndex] = 0;
+            queue.push(startIndex);
+        }
+
+        for (let head = 0; head < queue.length; head++) {
+            const index = queue[head];
+            const x = index % cols;
+            const y = Math.floor(index / cols);
+
+            for (const dir of DIRECTIONS) {
+                const nx = x + dir.dx;
+                const ny = y + dir.dy;
+                if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
+                if (!this._isOpen(grid[ny][nx])) continue;
+
+                const next = ny * cols + nx;
+                if (distance[next] >= 0) continue;
+
+                // A gate cannot be entered from the cell it points at
+                if (gates) {
+                    const gate = reverse ? gates[index] : gates[next];
+                    const from = reverse ? dir : { dx: -dir.dx, dy: -dir.dy };
+                    if (gate > 0 && DIRECTIONS[gate - 1].dx === from.dx && DIRECTIONS[gate - 1].dy === from.dy) {
+                        continue;
+                    }
+                }
+
+                distance[next] = distance[index] + 1;
+                parent[next] = index;
+                queue.push(next);
+            }
+
+            // Portals work both ways, so the edge is the same in reverse
+            const partner = links ? links.get(index) : undefined;
+            if (partner !== undefined && distance[partner] < 0) {
+                distance[partner] = distance[index] + 1;
+                parent[partner] = index;
+                queue.push(partner);
+            }
+        }
+
+        return { distance, parent };
+    }
+
+    /**
+     * Link the portal pairs of a grid
+     * @param {number[][]} grid - 2D grid of cell types
+     * @param {Object[]|null} portals - Portal cells { channel, x, y }
+     * @returns {Map<number, number>|null} Partner cell index per portal cell
+     *     index, or null if no channel has both its portals
+     * @private
+     */
+    _linkPortals(grid, portals) {
+        if (!portals) return null;
+
+        const cols = grid[0].length;
+        const first = new Map();
+        let links = null;
+        for (const portal of portals) {
+            if (!grid[portal.y] || !this._isOpen(grid[portal.y][portal.x])) continue;
+
+            const index = portal.y * cols + portal.x;
+            if (!first.has(portal.channel)) {
+                first.set(portal.channel, index);
+                continue;
+            }
+
+            links = links || new Map();
+            links.set(index, first.get(portal.channel));
+            links.set(first.get(portal.channel), index);
+        }
+        return links;
+    }
+
+    /**
+     * Mark the one-way gates of a grid
+     * @param {number[][]} grid - 2D grid of cell types
+     * @param {Object[]|null} tiles - Floor tile directions { x, y, direction }
+     * @returns {Int8Array|null} Per cell, the gate's index in DIRECTIONS plus
+     *     one (0 without a gate), or null if the grid has no gates
+     * @private
+     */
+    _mapOneWayGates(grid, tiles) {
+        if (!tiles) return null;
+
+        const cols = grid[0].length;
+        let gates = null;
+        for (const tile of tiles) {
+            if (!grid[tile.y] || grid[tile.y][tile.x] !== CELL_TYPES.ONE_WAY) continue;
+
+            gates = gates || new Int8Array(grid.length * cols);
+            gates[tile.y * cols + tile.x] = DIRECTIONS.findIndex(dir => dir.name === tile.direction) + 1;
+        }
+        return gates;
+    }
+
+    /**
+     * Measure the route from the entry to one exit
+     * @param {number[][]} grid - 2D grid of cell types
+     * @param {Int32Array} parent - BFS parents
+     * @param {Int32Array} distance - BFS distances
+     * @param {number} column - Exit column on the bottom row
+     * @returns {Object} Route statistics
+     * @private
+     */
+    _analyzeRoute(grid, parent, distance, column) {
+        const cols = grid[0].length;
+        const exitCell = { x: column, y: grid.length - 1 };
+
+        if (distance[exitCell.y * cols + exitCell.x] < 0) {
+            return { column, reachable: false, length: -1, turns: 0, decisions: 0, difficulty: 0, path: [] };
+        }
+
+        const path = this._tracePath(parent, cols, exitCell);
+
+        let turns = 0;
+        let decisions = 0;
+        for (let i = 1; i < path.length - 1; i++) {
+            const inX = path[i].x - path[i - 1].x;
+            const inY = path[i].y - path[i - 1].y;
+            const outX = path[i + 1].x - path[i].x;
+            const outY = path[i + 1].y - path[i].y;
+            if (inX !== outX || inY !== outY) turns++;
+
+            // Every extra opening is a chance to take the wrong way
+            if (this._degree(grid, path[i].x, path[i].y) >= 3) decisions++;
+        }
+
+        const length = path.length - 1;
+        const difficulty = length * ANALYSIS_CONFIG.lengthWeight
+            + turns * ANALYSIS_CONFIG.turnWeight
+            + decisions * ANALYSIS_CONFIG.decisionWeight;
+
+        return { column, reachable: true, length, turns, decisions, difficulty, path };
+    }
+
+    /**
+     * Rebuild a path from BFS parents
+     * @param {Int32Array} parent - BFS parents
+     * @param {number} cols - Grid columns
+     * @param {Object} target - Target cell { x, y }
+     * @returns {Object[]} Cells from start to target
+     * @private
+     */
+    _tracePath(parent, cols, target) {
+        const path = [];
+        for (let index = target.y * cols + target.x; index >= 0; index = parent[index]) {
+            path.push({ x: index % cols, y: Math.floor(index / cols) });
+        }
+        return path.reverse();
+    }
+
+    /**
+     * Count open neighbors of a cell
+     * @param {number[][]} grid - 2D grid of cell types
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {number} Number of open neighbors
+     * @private
+     */
+    _degree(grid, x, y) {
+        let degree = 0;
+        for (const dir of DIRECTIONS) {
+            const row = grid[y + dir.dy];
+            if (row && row[x + dir.dx] !== undefined && this._isOpen(row[x + dir.dx])) {
+                degree++;
+            }
+        }
+        return degree;
+    }
+
+    /**
+     * Check whether the ball can roll through a cell
+     * Holes count as closed: rolling over one sends the ball back.
+     * @param {number} type - Cell type
+     * @returns {boolean} Whether the cell is passable
+     * @private
+     */
+    _isOpen(type) {
+        return type !== CELL_TYPES.WALL && type !== CELL_TYPES.HOLE;
+    }
+
+    /**
+     * Find the entry cell (first ENTRY cell, else top-center)
+     * @param {number[][]} grid - 2D grid of cell types
+     * @returns {Object} Entry cell { x, y }
+     * @private
+     */
+    _findEntry(grid) {
+        for (let y = 0; y < grid.length; y++) {
+            const x = grid[y].indexOf(CELL_TYPES.ENTRY);
+            if (x >= 0) return { x, y };
+        }
+        return { x: Math.floor(grid[0].length / 2), y: 0 };
+    }
+
+    /**
+     * Find exit columns on the bottom row
+     * @param {number[][]} grid - 2D grid of cell types
+     * @returns {number[]} Exit columns
+     * @private
+     */
+    _findExitColumns(grid) {
+        const columns = [];
+        grid[grid.length - 1].forEach((type, x) => {
+            if (type === CELL_TYPES.EXIT) columns.push(x);
+        });
+        return columns;
+    }
+}
+
+// Create singleton instance
+const mazeAnalyzer = new MazeAnalyzer();
+
+// Export for use in other modules
+window.MazeAnalyzer = mazeAnalyzer;
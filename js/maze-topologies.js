@@ -0,0 +1,584 @@
+/**
+ * ============================================================================
+ * EXIT VECTOR - MAZE TOPOLOGIES MODULE
+ * ============================================================================
+ * Cell layouts other than the square grid.
+ *
+ * Each topology is a cell graph (see maze-algorithms.js) that also knows its
+ * geometry, so MazeGenerator can carve it with any compatible algorithm and
+ * turn it into thin wall segments for physics and rendering.
+ *
+ * Topology graph interface (on top of the cell graph interface):
+ * - entry:                Cell the ball starts in
+ * - layout(pitch, pad):   Place cells pitch apart (wall line to wall line),
+ *                         pad pixels from the edges; returns { width, height }
+ * - cellCenter(id):       Pixel center { x, y }
+ * - exitCandidates():     Boundary cells that can become exits, in order
+ * - openExit(id):         Remove the outer wall of a boundary cell
+ * - direction(a, b):      Name of the direction from a to adjacent b
+ * - wallSegments():       Closed walls as [x1, y1, x2, y2] lines
+ *
+ * @module maze-topologies
+ * ============================================================================
+ */
+
+/**
+ * Hex neighbor directions for flat-topped hexes with odd columns shifted
+ * half a cell down. `edge` lists the two corners (see HexCellGraph) that
+ * bound the wall in that direction.
+ * @constant {Object[]}
+ */
+const HEX_DIRECTIONS = [
+    { name: 'se', even: { dx: 1, dy: 0 }, odd: { dx: 1, dy: 1 }, edge: [0, 1] },
+    { name: 's', even: { dx: 0, dy: 1 }, odd: { dx: 0, dy: 1 }, edge: [1, 2] },
+    { name: 'sw', even: { dx: -1, dy: 0 }, odd: { dx: -1, dy: 1 }, edge: [2, 3] },
+    { name: 'nw', even: { dx: -1, dy: -1 }, odd: { dx: -1, dy: 0 }, edge: [3, 4] },
+    { name: 'n', even: { dx: 0, dy: -1 }, odd: { dx: 0, dy: -1 }, edge: [4, 5] },
+    { name: 'ne', even: { dx: 1, dy: -1 }, odd: { dx: 1, dy: 0 }, edge: [5, 0] }
+];
+
+/**
+ * HexCellGraph class
+ * Hexagonal cells in columns; the ball enters at the top and leaves
+ * through exits in the bottom row.
+ */
+class HexCellGraph {
+    /**
+     * Create a hex cell graph
+     * @param {number} width - Columns of hexes
+     * @param {number} height - Hexes per column
+     */
+    constructor(width, height) {
+        /** @type {number} Columns of hexes */
+        this.width = width;
+
+        /** @type {number} Hexes per column */
+        this.height = height;
+
+        /** @type {number} Number of cells */
+        this.cellCount = width * height;
+
+        /** @type {boolean} Offset coordinates form a rectangle of adjacent cells */
+        this.rectangular = true;
+
+        /** @type {number} Start cell id (top center) */
+        this.start = this.id(Math.floor(width / 2), 0);
+
+        /** @type {number} Entry cell id */
+        this.entry = this.start;
+
+        /** @type {Uint8Array} Open walls per cell, one bit per HEX_DIRECTIONS entry */
+        this.links = new Uint8Array(this.cellCount);
+
+        /** @type {Uint8Array} Removed boundary walls per cell (entry and exits) */
+        this.openings = new Uint8Array(this.cellCount);
+
+        /** @type {number} Corner radius in pixels */
+        this.radius = 0;
+
+        /** @type {number} Padding around the cells in pixels */
+        this.padding = 0;
+
+        // The entry is a gap in the top wall, like the square grid's
+        this.openings[this.entry] |= 1 << 4;
+    }
+
+    /**
+     * Get cell id for cell coordinates
+     * @param {number} cx - Column
+     * @param {number} cy - Row within the column
+     * @returns {number} Cell id
+     */
+    id(cx, cy) {
+        return cy * this.width + cx;
+    }
+
+    /**
+     * Get cell coordinates for a cell id
+     * @param {number} id - Cell id
+     * @returns {Object} { cx, cy }
+     */
+    coords(id) {
+        return { cx: id % this.width, cy: Math.floor(id / this.width) };
+    }
+
+    /**
+     * Get the neighbor in one direction
+     * @param {number} id - Cell id
+     * @param {number} k - Index into HEX_DIRECTIONS
+     * @returns {number} Neighbor id, or -1 at the boundary
+     * @private
+     */
+    _neighbor(id, k) {
+        const { cx, cy } = this.coords(id);
+        const offset = cx % 2 === 0 ? HEX_DIRECTIONS[k].even : HEX_DIRECTIONS[k].odd;
+        const nx = cx + offset.dx;
+        const ny = cy + offset.dy;
+
+        if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) return -1;
+        return this.id(nx, ny);
+    }
+
+    /**
+     * Get the direction index from a cell to an adjacent one
+     * @param {number} a - Cell id
+     * @param {number} b - Adjacent cell id
+     * @returns {number} Index into HEX_DIRECTIONS, or -1 if not adjacent
+     * @private
+     */
+    _directionIndex(a, b) {
+        for (let k = 0; k < HEX_DIRECTIONS.length; k++) {
+            if (this._neighbor(a, k) === b) return k;
+        }
+        return -1;
+    }
+
+    /**
+     * Get adjacent cells
+     * @param {number} id - Cell id
+     * @returns {number[]} Neighbor cell ids
+     */
+    neighbors(id) {
+        const result = [];
+        for (let k = 0; k < HEX_DIRECTIONS.length; k++) {
+            const next = this._neighbor(id, k);
+            if (next >= 0) result.push(next);
+        }
+        return result;
+    }
+
+    /**
+     * Open the wall between two adjacent cells
+     * @param {number} a - First cell id
+     * @param {number} b - Second cell id
+     */
+    link(a, b) {
+        const k = this._directionIndex(a, b);
+        if (k < 0) return;
+
+        this.links[a] |= 1 << k;
+        this.links[b] |= 1 << ((k + 3) % 6);
+    }
+
+    /**
+     * Check whether two adjacent cells are connected
+     * @param {number} a - First cell id
+     * @param {number} b - Second cell id
+     * @returns {boolean} Whether the wall between them is open
+     */
+    isLinked(a, b) {
+        const k = this._directionIndex(a, b);
+        return k >= 0 && (this.links[a] & (1 << k)) !== 0;
+    }
+
+    /**
+     * Get the direction name from a cell to an adjacent one
+     * @param {number} a - Cell id
+     * @param {number} b - Adjacent cell id
+     * @returns {string} Direction name
+     */
+    direction(a, b) {
+        const k = this._directionIndex(a, b);
+        return k >= 0 ? HEX_DIRECTIONS[k].name : '';
+    }
+
+    /**
+     * Place the cells in pixels
+     * @param {number} pitch - Distance between opposite wall lines
+     * @param {number} padding - Space around the cells
+     * @returns {Object} { width, height }
+     */
+    layout(pitch, padding) {
+        this.radius = pitch / Math.sqrt(3);
+        this.padding = padding;
+
+        const rowHeight = pitch;
+        return {
+            width: 2 * padding + this.radius * (1.5 * (this.width - 1) + 2),
+            height: 2 * padding + rowHeight * this.height + (this.width > 1 ? rowHeight / 2 : 0)
+        };
+    }
+
+    /**
+     * Get the pixel center of a cell
+     * @param {number} id - Cell id
+     * @returns {Object} { x, y }
+     */
+    cellCenter(id) {
+        const { cx, cy } = this.coords(id);
+        const rowHeight = this.radius * Math.sqrt(3);
+
+        return {
+            x: this.padding + this.radius * (1 + 1.5 * cx),
+            y: this.padding + rowHeight * (cy + 0.5 + (cx % 2 === 1 ? 0.5 : 0))
+        };
+    }
+
+    /**
+     * Get the cells of the bottom row, left to right
+     * @returns {number[]} Cell ids
+     */
+    exitCandidates() {
+        const ids = [];
+        for (let cx = 0; cx < this.width; cx++) {
+            ids.push(this.id(cx, this.height - 1));
+        }
+        return ids;
+    }
+
+    /**
+     * Open the bottom wall of a bottom-row cell
+     * @param {number} id - Cell id
+     */
+    openExit(id) {
+        this.openings[id] |= 1 << 1;
+    }
+
+    /**
+     * Get the closed walls as line segments
+     * Shared walls are listed once.
+     * @returns {number[][]} [x1, y1, x2, y2] per wall
+     */
+    wallSegments() {
+        const segments = [];
+
+        for (let id = 0; id < this.cellCount; id++) {
+            const center = this.cellCenter(id);
+            const corner = (j) => ({
+                x: center.x + this.radius * Math.cos(j * Math.PI / 3),
+                y: center.y + this.radius * Math.sin(j * Math.PI / 3)
+            });
+
+            for (let k = 0; k < HEX_DIRECTIONS.length; k++) {
+                const next = this._neighbor(id, k);
+                const bit = 1 << k;
+
+                if (next >= 0 ? next < id || (this.links[id] & bit) : (this.openings[id] & bit)) continue;
+
+                const [from, to] = HEX_DIRECTIONS[k].edge.map(corner);
+                segments.push([from.x, from.y, to.x, to.y]);
+            }
+        }
+
+        return segments;
+    }
+}
+
+/**
+ * ThetaCellGraph class
+ * Concentric rings around a center cell (a "theta" maze); outer rings are
+ * split into more cells so cells stay roughly square. The ball starts in
+ * the center and leaves through exits in the outer ring.
+ */
+class ThetaCellGraph {
+    /**
+     * Create a theta cell graph
+     * @param {number} rings - Number of rings, including the center cell
+     */
+    constructor(rings) {
+        /** @type {number} Number of rings */
+        this.rings = Math.max(2, rings);
+
+        /** @type {number[]} Cells per ring */
+        this.ringSizes = [1];
+
+        /** @type {number[]} Id of the first cell of each ring */
+        this.ringStarts = [0];
+
+        for (let r = 1; r < this.rings; r++) {
+            // Split cells when the ring's circumference allows it
+            const previous = this.ringSizes[r - 1];
+            const ratio = Math.max(1, Math.round(2 * Math.PI * r / previous));
+            this.ringStarts.push(this.ringStarts[r - 1] + previous);
+            this.ringSizes.push(previous * ratio);
+        }
+
+        /** @type {number} Number of cells */
+        this.cellCount = this.ringStarts[this.rings - 1] + this.ringSizes[this.rings - 1];
+
+        /** @type {number} Cells in the outer ring */
+        this.width = this.ringSizes[this.rings - 1];
+
+        /** @type {number} Number of rings */
+        this.height = this.rings;
+
+        /** @type {boolean} Rings have different sizes */
+        this.rectangular = false;
+
+        /** @type {number} Start cell id (center) */
+        this.start = 0;
+
+        /** @type {number} Entry cell id */
+        this.entry = 0;
+
+        /** @type {Int32Array} Ring of every cell */
+        this.ringOf = new Int32Array(this.cellCount);
+        for (let r = 0; r < this.rings; r++) {
+            this.ringOf.fill(r, this.ringStarts[r], this.ringStarts[r] + this.ringSizes[r]);
+        }
+
+        /** @type {Set<number>} Open walls, keyed by cell pair */
+        this.links = new Set();
+
+        /** @type {Uint8Array} Outer-ring cells whose outer wall is removed */
+        this.openings = new Uint8Array(this.cellCount);
+
+        /** @type {number} Ring spacing in pixels */
+        this.pitch = 0;
+
+        /** @type {Object} Pixel center of the maze { x, y } */
+        this.center = { x: 0, y: 0 };
+    }
+
+    /**
+     * Get cell id for ring coordinates
+     * @param {number} cx - Index within the ring (wraps around)
+     * @param {number} cy - Ring
+     * @returns {number} Cell id
+     */
+    id(cx, cy) {
+        const size = this.ringSizes[cy];
+        return this.ringStarts[cy] + ((cx % size) + size) % size;
+    }
+
+    /**
+     * Get ring coordinates for a cell id
+     * @param {number} id - Cell id
+     * @returns {Object} { cx, cy } index within the ring and ring
+     */
+    coords(id) {
+        const cy = this.ringOf[id];
+        return { cx: id - this.ringStarts[cy], cy };
+    }
+
+    /**
+     * Get the inner neighbor of a cell
+     * @param {number} id - Cell id (not the center)
+     * @returns {number} Parent cell id
+     * @private
+     */
+    _parent(id) {
+        const { cx, cy } = this.coords(id);
+        const ratio = this.ringSizes[cy] / this.ringSizes[cy - 1];
+        return this.id(Math.floor(cx / ratio), cy - 1);
+    }
+
+    /**
+     * Get adjacent cells
+     * @param {number} id - Cell id
+     * @returns {number[]} Neighbor cell ids
+     */
+    neighbors(id) {
+        const { cx, cy } = this.coords(id);
+        const result = [];
+
+        if (cy > 0) {
+            result.push(this.id(cx + 1, cy), this.id(cx - 1, cy), this._parent(id));
+        }
+
+        if (cy < this.rings - 1) {
+            const ratio = this.ringSizes[cy + 1] / this.ringSizes[cy];
+            for (let i = 0; i < ratio; i++) {
+                result.push(this.id(cx * ratio + i, cy + 1));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Key of the wall between two cells
+     * @param {number} a - First cell id
+     * @param {number} b - Second cell id
+     * @returns {number} Key
+     * @private
+     */
+    _key(a, b) {
+        return Math.min(a, b) * this.cellCount + Math.max(a, b);
+    }
+
+    /**
+     * Open the wall between two adjacent cells
+     * @param {number} a - First cell id
+     * @param {number} b - Second cell id
+     */
+    link(a, b) {
+        this.links.add(this._key(a, b));
+    }
+
+    /**
+     * Check whether two adjacent cells are connected
+     * @param {number} a - First cell id
+     * @param {number} b - Second cell id
+     * @returns {boolean} Whether the wall between them is open
+     */
+    isLinked(a, b) {
+        return this.links.has(this._key(a, b));
+    }
+
+    /**
+     * Get the direction name from a cell to an adjacent one
+     * @param {number} a - Cell id
+     * @param {number} b - Adjacent cell id
+     * @returns {string} 'cw', 'ccw', 'in' or 'out'
+     */
+    direction(a, b) {
+        const ringA = this.ringOf[a];
+        const ringB = this.ringOf[b];
+
+        if (ringB > ringA) return 'out';
+        if (ringB < ringA) return 'in';
+        return this.id(this.coords(a).cx + 1, ringA) === b ? 'cw' : 'ccw';
+    }
+
+    /**
+     * Place the rings in pixels
+     * @param {number} pitch - Distance between ring wall lines
+     * @param {number} padding - Space around the outer ring
+     * @returns {Object} { width, height }
+     */
+    layout(pitch, padding) {
+        this.pitch = pitch;
+
+        const size = 2 * (padding + this.rings * pitch);
+        this.center = { x: size / 2, y: size / 2 };
+        return { width: size, height: size };
+    }
+
+    /**
+     * Get the radius of the outer wall
+     * @returns {number} Radius in pixels
+     */
+    getOuterRadius() {
+        return this.rings * this.pitch;
+    }
+
+    /**
+     * Get the angular span of a cell
+     * Angles are in radians, clockwise on screen from the positive x axis.
+     * @param {number} id - Cell id
+     * @returns {Object} { start, end }
+     */
+    cellAngles(id) {
+        const { cx, cy } = this.coords(id);
+        const step = 2 * Math.PI / this.ringSizes[cy];
+        return { start: cx * step, end: (cx + 1) * step };
+    }
+
+    /**
+     * Get the pixel center of a cell
+     * @param {number} id - Cell id
+     * @returns {Object} { x, y }
+     */
+    cellCenter(id) {
+        const ring = this.ringOf[id];
+        if (ring === 0) return { ...this.center };
+
+        const { start, end } = this.cellAngles(id);
+        const angle = (start + end) / 2;
+        const radius = (ring + 0.5) * this.pitch;
+
+        return {
+            x: this.center.x + radius * Math.cos(angle),
+            y: this.center.y + radius * Math.sin(angle)
+        };
+    }
+
+    /**
+     * Get the cells of the outer ring, clockwise
+     * @returns {number[]} Cell ids
+     */
+    exitCandidates() {
+        const ring = this.rings - 1;
+        const ids = [];
+        for (let i = 0; i < this.ringSizes[ring]; i++) {
+            ids.push(this.ringStarts[ring] + i);
+        }
+        return ids;
+    }
+
+    /**
+     * Open the outer wall of an outer-ring cell
+     * @param {number} id - Cell id
+     */
+    openExit(id) {
+        this.openings[id] = 1;
+    }
+
+    /**
+     * Get the closed walls as line segments
+     * Arcs are split into chords no longer than half a ring.
+     * @returns {number[][]} [x1, y1, x2, y2] per wall
+     */
+    wallSegments() {
+        const segments = [];
+        const { x: cx, y: cy } = this.center;
+
+        const point = (radius, angle) => [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+        const addArc = (radius, start, end) => {
+            const pieces = Math.max(1, Math.ceil(radius * (end - start) / (this.pitch / 2)));
+            for (let i = 0; i < pieces; i++) {
+                segments.push([
+                    ...point(radius, start + (end - start) * i / pieces),
+                    ...point(radius, start + (end - start) * (i + 1) / pieces)
+                ]);
+            }
+        };
+
+        for (let id = 1; id < this.cellCount; id++) {
+            const { cx: index, cy: ring } = this.coords(id);
+            const { start, end } = this.cellAngles(id);
+            const inner = ring * this.pitch;
+            const outer = inner + this.pitch;
+
+            // Counter-clockwise side (the clockwise side is the next cell's)
+            if (!this.isLinked(id, this.id(index - 1, ring))) {
+                segments.push([...point(inner, start), ...point(outer, start)]);
+            }
+
+            if (!this.isLinked(id, this._parent(id))) {
+                addArc(inner, start, end);
+            }
+
+            if (ring === this.rings - 1 && !this.openings[id]) {
+                addArc(outer, start, end);
+            }
+        }
+
+        return segments;
+    }
+}
+
+/**
+ * Registry of cell layouts, keyed by config name
+ * 'grid' is MazeGenerator's own block grid (see GridCellGraph) and has
+ * no create(); the others build their cell graph from the level's size
+ * in cells. pitchScale is the cell pitch per corridor width plus wall
+ * thickness, so the narrowest opening between two cells is still a full
+ * corridor wide (a hex side is 1/sqrt(3) of its pitch; ring cells can be
+ * about 0.8 of a ring wide).
+ * @constant {Object}
+ */
+const MAZE_TOPOLOGIES = {
+    grid: {
+        name: 'Square grid',
+        code: 'g',
+        pitchScale: 1,
+        create: null
+    },
+    hex: {
+        name: 'Hexagonal',
+        code: 'h',
+        pitchScale: Math.sqrt(3),
+        create: (width, height) => new HexCellGraph(width, height)
+    },
+    theta: {
+        name: 'Circular',
+        code: 't',
+        pitchScale: 1.3,
+        create: (width, height) => new ThetaCellGraph(height)
+    }
+};
+
+// Export for use in other modules
+window.MAZE_TOPOLOGIES = MAZE_TOPOLOGIES;
@@ -3,13 +3,22 @@
  * EXIT VECTOR - MAZE MODULE
  * ============================================================================
  * Traditional labyrinth-style maze generation with proper corridors.
- * Uses recursive backtracking algorithm for authentic maze paths.
+ * Carving is delegated to pluggable algorithms (see maze-algorithms.js).
  * 
  * Features:
- * - Recursive backtracking maze generation
- * - Proper corridors and dead ends
+ * - Selectable generation algorithms per level
+ * - Proper corridors, with dead ends braided into loops per level
  * - Exit zones with varying scores at bottom
  * - Difficulty scaling per level
+ * - Block walls or thin line walls (MAZE_CONFIG.wallRatio)
+ * - Adjacent block wall cells merged into larger rectangles
+ * - Square, hexagonal or circular cell layouts (see maze-topologies.js)
+ * - Holes off the exit routes, more of them on later levels
+ * - Keys with locked doors and floor switches with gates (square grids)
+ * - Gems in dead ends and side branches, worth more the deeper they lie
+ * - Pinball bumpers on dead-end walls and kickers in the corners of turns
+ * - Ice, mud and sand regions, with ice in front of the best exit (square grids)
+ * - One-way gates, boost pads and conveyors on straight corridors (square grids)
  * 
  * @module maze
  * ============================================================================
@@ -23,9 +32,44 @@ const CELL_TYPES = {
     WALL: 0,
     PATH: 1,
     ENTRY: 2,
-    EXIT: 3
+    EXIT: 3,
+    HOLE: 4,
+    ONE_WAY: 5,
+    BOOST: 6,
+    CONVEYOR: 7
 };
 
+/**
+ * Floor tile cell types
+ * Each tile also has a direction (see MazeGenerator.tileCells).
+ * @constant {number[]}
+ */
+const TILE_CELL_TYPES = [CELL_TYPES.ONE_WAY, CELL_TYPES.BOOST, CELL_TYPES.CONVEYOR];
+
+/**
+ * Maze object types
+ * Keys open the doors of their channel; switches toggle the gates of theirs.
+ * Gems are worth points; bumpers and kickers kick the ball away and score
+ * on every hit. The two portals of a channel send the ball to each other.
+ * @constant {Object}
+ */
+const MAZE_OBJECT_TYPES = {
+    KEY: 'key',
+    DOOR: 'door',
+    SWITCH: 'switch',
+    GATE: 'gate',
+    GEM: 'gem',
+    BUMPER: 'bumper',
+    KICKER: 'kicker',
+    PORTAL: 'portal'
+};
+
+/**
+ * Cell corners a kicker can cut across ("vertical-horizontal")
+ * @constant {string[]}
+ */
+const KICKER_CORNERS = ['up-left', 'up-right', 'down-left', 'down-right'];
+
 /**
  * Direction vectors for maze generation
  * @constant {Object[]}
@@ -37,6 +81,39 @@ const DIRECTIONS = [
     { dx: -1, dy: 0, name: 'left' }    // Left
 ];
 
+/**
+ * Salts for deriving independent random streams from one maze seed
+ * @constant {Object}
+ */
+const RNG_STREAMS = {
+    CARVE: 0,
+    EXITS: 0x5bd1e995,
+    ALGORITHM: 0x27d4eb2f,
+    BRAID: 0x165667b1,
+    HOLES: 0x85ebca6b,
+    OBJECTS: 0xc2b2ae35,
+    TILES: 0x9e3779b9,
+    GEMS: 0x7feb352d,
+    BUMPERS: 0x846ca68b,
+    SURFACES: 0x68e31da4,
+    PORTALS: 0x2545f491
+};
+
+/**
+ * Share code format version (first field of every share code)
+ * Codes of older versions are refused, since the same fields no longer
+ * generate the maze that was shared.
+ * @constant {number}
+ */
+const SHARE_CODE_VERSION = 2;
+
+/**
+ * Largest wall ratio for hex and circular mazes
+ * Their walls are always lines; block walls only exist on the square grid.
+ * @constant {number}
+ */
+const GRAPH_WALL_RATIO_MAX = 0.5;
+
 /**
  * Seeded random number generator
  * Provides reproducible randomness for maze generation
@@ -50,12 +127,22 @@ class SeededRandom {
         this.seed = seed;
     }
 
+    /**
+     * Create a fresh seed suitable for sharing
+     * @returns {number} Positive 31-bit integer seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x7ffffffe) + 1;
+    }
+
     /**
      * Get next random number (0-1)
      * @returns {number} Random number between 0 and 1
      */
     next() {
-        this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
+        // 32-bit multiply keeps every bit exact, so the full period is
+        // available to very large mazes (a float product loses low bits)
+        this.seed = (Math.imul(this.seed, 1103515245) + 12345) & 0x7fffffff;
         return this.seed / 0x7fffffff;
     }
 
@@ -84,9 +171,115 @@ class SeededRandom {
     }
 }
 
+/**
+ * GridCellGraph class
+ * Exposes the odd-coordinate cells of a wall grid as a graph for the
+ * maze algorithms. Linking two cells carves the wall block between them.
+ */
+class GridCellGraph {
+    /**
+     * Create a cell graph over a grid
+     * @param {number[][]} grid - Grid to carve (initially all walls)
+     * @param {number} cols - Grid columns (odd)
+     * @param {number} rows - Grid rows (odd)
+     * @param {number} startX - Grid column carving starts from (odd)
+     */
+    constructor(grid, cols, rows, startX) {
+        /** @type {number[][]} Grid being carved */
+        this.grid = grid;
+
+        /** @type {number} Width in cells */
+        this.width = Math.floor((cols - 1) / 2);
+
+        /** @type {number} Height in cells */
+        this.height = Math.floor((rows - 1) / 2);
+
+        /** @type {number} Number of cells */
+        this.cellCount = this.width * this.height;
+
+        /** @type {boolean} Cells form a rectangle */
+        this.rectangular = true;
+
+        /** @type {number} Start cell id (top row) */
+        this.start = this.id(Math.floor((startX - 1) / 2), 0);
+
+        // Every cell is open floor; only the blocks between cells are carved
+        for (let cy = 0; cy < this.height; cy++) {
+            for (let cx = 0; cx < this.width; cx++) {
+                this.grid[cy * 2 + 1][cx * 2 + 1] = CELL_TYPES.PATH;
+            }
+        }
+    }
+
+    /**
+     * Get cell id for cell coordinates
+     * @param {number} cx - Cell column
+     * @param {number} cy - Cell row
+     * @returns {number} Cell id
+     */
+    id(cx, cy) {
+        return cy * this.width + cx;
+    }
+
+    /**
+     * Get cell coordinates for a cell id
+     * @param {number} id - Cell id
+     * @returns {Object} { cx, cy }
+     */
+    coords(id) {
+        return { cx: id % this.width, cy: Math.floor(id / this.width) };
+    }
+
+    /**
+     * Get adjacent cells
+     * @param {number} id - Cell id
+     * @returns {number[]} Neighbor cell ids
+     */
+    neighbors(id) {
+        const { cx, cy } = this.coords(id);
+        const result = [];
+
+        for (const dir of DIRECTIONS) {
+            const nx = cx + dir.dx;
+            const ny = cy + dir.dy;
+            if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
+                result.push(this.id(nx, ny));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Open the wall between two adjacent cells
+     * @param {number} a - First cell id
+     * @param {number} b - Second cell id
+     */
+    link(a, b) {
+        const cellA = this.coords(a);
+        const cellB = this.coords(b);
+
+        // The wall block sits halfway between the two cells
+        this.grid[cellA.cy + cellB.cy + 1][cellA.cx + cellB.cx + 1] = CELL_TYPES.PATH;
+    }
+
+    /**
+     * Check whether two adjacent cells are connected
+     * @param {number} a - First cell id
+     * @param {number} b - Second cell id
+     * @returns {boolean} Whether the wall between them is open
+     */
+    isLinked(a, b) {
+        const cellA = this.coords(a);
+        const cellB = this.coords(b);
+
+        return this.grid[cellA.cy + cellB.cy + 1][cellA.cx + cellB.cx + 1] !== CELL_TYPES.WALL;
+    }
+}
+
 /**
  * MazeGenerator class
- * Generates traditional labyrinth-style mazes using recursive backtracking
+ * Generates traditional labyrinth-style mazes with a configurable algorithm
  */
 class MazeGenerator {
     /**
@@ -108,18 +301,81 @@ class MazeGenerator {
         /** @type {number} Wall thickness in pixels */
         this.wallThickness = 4;
 
+        /** @type {number} Wall thickness relative to cellSize (1 = block walls) */
+        this.wallRatio = MAZE_CONFIG.wallRatio;
+
+        /** @type {number[]} Left pixel edge of every grid column, plus the right edge */
+        this.colOffsets = [];
+
+        /** @type {number[]} Top pixel edge of every grid row, plus the bottom edge */
+        this.rowOffsets = [];
+
         /** @type {number} Current level */
         this.level = 1;
 
+        /** @type {number} Seed the current maze was generated from */
+        this.seed = 0;
+
         /** @type {SeededRandom} Random number generator */
         this.rng = new SeededRandom();
 
+        /** @type {string} Name of the algorithm that carved the current maze */
+        this.algorithm = MAZE_CONFIG.algorithm;
+
+        /** @type {number} Fraction of dead ends braided into loops (0-1) */
+        this.braidFactor = 0;
+
+        /** @type {string} Cell layout of the current maze (key into MAZE_TOPOLOGIES) */
+        this.topology = 'grid';
+
+        /** @type {Object|null} Cell graph of the current maze */
+        this.cellGraph = null;
+
+        /** @type {Object|null} MazeAnalyzer result for the current maze */
+        this.analysis = null;
+
         /** @type {Object[]} Exit zone definitions */
         this.exitZones = [];
 
         /** @type {Object[]} Wall rectangles for collision */
         this.wallRects = [];
 
+        /** @type {Object[]} Thin wall segments for collision */
+        this.wallSegments = [];
+
+        /** @type {Object[]} All wall colliders (rectangles and segments) */
+        this.walls = [];
+
+        /** @type {number[]} Hole cell ids of graph mazes (grid holes live in the grid) */
+        this.holeCells = [];
+
+        /** @type {Object[]} Holes { x, y, radius } in pixels */
+        this.holes = [];
+
+        /** @type {Object[]} Maze objects in grid cells { type, channel, x, y, open? } */
+        this.objectCells = [];
+
+        /** @type {Object[]} Maze objects in pixels, with colliders for doors and gates */
+        this.objects = [];
+
+        /** @type {Object[]} Floor tile directions as grid cells { x, y, direction } */
+        this.tileCells = [];
+
+        /** @type {Object[]} Floor tiles in pixels */
+        this.tiles = [];
+
+        /** @type {Array<Array<string|null>>} Surface material per grid cell, null for plain floor */
+        this.surfaceGrid = [];
+
+        /** @type {Object[]} Surface material cells in pixels */
+        this.surfaces = [];
+
+        /** @type {Object} Entry cell { x, y } in grid coordinates */
+        this.entryCell = { x: 0, y: 0 };
+
+        /** @type {boolean} Whether the maze was loaded from level data */
+        this.isCustom = false;
+
         /** @type {number} Entry X position in pixels */
         this.entryX = 0;
 
@@ -132,8 +388,11 @@ class MazeGenerator {
         /** @type {number} Maze height in pixels */
         this.height = 0;
 
-        /** @type {number[]} Exit column positions */
+        /** @type {number[]} Exit column positions (exit candidate indices for graph topologies) */
         this.exitColumns = [];
+
+        /** @type {number[]} Exit cell ids (graph topologies only) */
+        this.exitCells = [];
     }
 
     /**
@@ -141,56 +400,302 @@ class MazeGenerator {
      * @param {number} level - Level number (1-10)
      * @param {number} canvasWidth - Canvas width for scaling
      * @param {number} canvasHeight - Canvas height for scaling
+     * @param {Object} [options] - Reproduction options (e.g. from a share code)
+     * @param {number} [options.seed] - Seed to generate from (random if omitted)
+     * @param {number} [options.cols] - Force column count instead of the level default
+     * @param {number} [options.rows] - Force row count instead of the level default
+     * @param {string} [options.algorithm] - Algorithm name (see MAZE_ALGORITHMS)
+     * @param {string} [options.topology] - Cell layout (see MAZE_TOPOLOGIES)
      */
-    init(level, canvasWidth, canvasHeight) {
+    init(level, canvasWidth, canvasHeight, options = {}) {
         this.level = level;
+        this.topology = this._resolveTopology(options.topology || getMazeTopology(level));
+        this.exitCells = [];
+        this.objectCells = [];
 
-        // Detect orientation
-        const isLandscape = canvasWidth > canvasHeight;
+        // Scrolling mazes are not limited by the screen, only by the config caps
+        const scrolling = MAZE_CONFIG.sizing === 'scroll';
+        const maxCols = scrolling ? MAZE_CONFIG.maxCols : 31;
+        const maxRows = scrolling ? MAZE_CONFIG.maxRows : 35;
 
-        // Calculate margins based on orientation
+        // Scale maze complexity based on level (higher caps for more complexity)
+        let targetCols = Math.min(maxCols, 11 + Math.floor(level / 2) * 2);
+        let targetRows = Math.min(maxRows, 13 + Math.floor(level / 2) * 2);
+
+        // Shared layouts keep their exact grid size regardless of screen
+        const fixedLayout = options.cols > 0 && options.rows > 0;
+        if (fixedLayout) {
+            targetCols = Math.max(9, Math.floor(options.cols));
+            targetRows = Math.max(9, Math.floor(options.rows));
+        }
+
+        // Ensure odd dimensions for maze algorithm
+        if (targetCols % 2 === 0) targetCols++;
+        if (targetRows % 2 === 0) targetRows++;
+
+        this.seed = options.seed > 0 ? Math.floor(options.seed) : SeededRandom.createSeed();
+        const algorithm = options.algorithm || getMazeAlgorithm(level);
+
+        if (this.topology !== 'grid') {
+            this._initGraphMaze(canvasWidth, canvasHeight, targetCols, targetRows, fixedLayout, algorithm);
+            return;
+        }
+
+        this._layout(canvasWidth, canvasHeight, targetCols, targetRows, fixedLayout);
+
+        // Generate maze
+        this.algorithm = this._resolveAlgorithm(algorithm);
+        this.rng = this._createRng(RNG_STREAMS.CARVE);
+        this._generateMaze();
+        this._braidMaze(getWallDensity(level));
+        this._createEntryAndExits();
+        this.analysis = window.MazeAnalyzer.analyze(this);
+        this._placeHoles(getHoleDensity(level));
+        this._placeObjects(level);
+        this._placePortals(level);
+        this._placeGems(level);
+        this._placeBumpers(level);
+        this._placeTiles(level);
+        this._buildExitZones();
+        this._paintSurfaces(level);
+        this._buildWalls();
+        this._buildHoles();
+        this._buildObjects();
+        this._buildTiles();
+        this._buildSurfaces();
+
+        this.isCustom = false;
+        this._updateEntryPosition();
+    }
+
+    /**
+     * Restore a maze from level data instead of generating one
+     * @param {Object} level - Validated level data (see LevelFormat)
+     * @param {number} canvasWidth - Canvas width for scaling
+     * @param {number} canvasHeight - Canvas height for scaling
+     * @param {Object} [options] - Load options
+     * @param {boolean} [options.fit] - Fit the whole maze on screen regardless of MAZE_CONFIG.sizing
+     * @param {Object} [options.margins] - Screen margins to keep free
+     *     { left, right, top, bottom } instead of the HUD defaults
+     * @param {number} [options.wallRatio] - Wall thickness override (see MAZE_CONFIG.wallRatio)
+     */
+    loadLevel(level, canvasWidth, canvasHeight, options = {}) {
+        this.level = level.level || 1;
+        this.seed = level.seed || 0;
+        this.algorithm = MAZE_ALGORITHMS[level.algorithm] ? level.algorithm : MAZE_CONFIG.algorithm;
+        this.braidFactor = 0;
+        this.topology = 'grid';
+        this.cellGraph = null;
+        this.exitCells = [];
+        this.holeCells = [];
+        this.isCustom = true;
+
+        this._layout(canvasWidth, canvasHeight, level.cols, level.rows, true,
+            options.fit ? 'fit' : MAZE_CONFIG.sizing, options.margins, options.wallRatio);
+
+        this.grid = level.grid.map(row => [...row]);
+        this.entryCell = { x: level.entry.x, y: level.entry.y };
+        this.exitColumns = level.exits.map(exit => exit.column);
+        this.objectCells = (level.objects || []).map(object => ({ ...object }));
+        this.tileCells = (level.tiles || []).map(tile => ({ ...tile }));
+        this.surfaceGrid = level.surfaces
+            ? level.surfaces.map(row => [...row])
+            : this.grid.map(row => row.map(() => null));
+
+        this.analysis = window.MazeAnalyzer.analyze(this);
+        this._createExitZones(level.exits);
+        this._buildWalls();
+        this._buildHoles();
+        this._buildObjects();
+        this._buildTiles();
+        this._buildSurfaces();
+        this._updateEntryPosition();
+    }
+
+    /**
+     * Generate a hex or circular maze on a cell graph
+     * @param {number} canvasWidth - Canvas width for scaling
+     * @param {number} canvasHeight - Canvas height for scaling
+     * @param {number} targetCols - Desired grid columns (graph width is half)
+     * @param {number} targetRows - Desired grid rows (graph height is half)
+     * @param {boolean} fixedLayout - Keep the size even if cells get tiny
+     * @param {string} algorithm - Algorithm name or 'random'
+     * @private
+     */
+    _initGraphMaze(canvasWidth, canvasHeight, targetCols, targetRows, fixedLayout, algorithm) {
+        this.grid = [];
+        this.colOffsets = [0];
+        this.rowOffsets = [0];
+        this.wallRatio = Math.max(0.05, Math.min(GRAPH_WALL_RATIO_MAX, MAZE_CONFIG.wallRatio));
+
+        this._layoutGraph(canvasWidth, canvasHeight, targetCols, targetRows, fixedLayout);
+
+        this.algorithm = this._resolveAlgorithm(algorithm, this.cellGraph.rectangular);
+        this.rng = this._createRng(RNG_STREAMS.CARVE);
+        MAZE_ALGORITHMS[this.algorithm].carve(this.cellGraph, this.rng);
+        this._braidMaze(getWallDensity(this.level));
+
+        // Exits spread over the boundary cells (bottom row or outer ring)
+        const candidates = this.cellGraph.exitCandidates();
+        this.exitColumns = [];
+        this.exitCells = [];
+        for (const pos of [0.1, 0.3, 0.5, 0.7, 0.9]) {
+            const index = Math.min(candidates.length - 1, Math.floor(pos * candidates.length));
+            if (this.exitColumns.includes(index)) continue;
+
+            this.exitColumns.push(index);
+            this.exitCells.push(candidates[index]);
+            this.cellGraph.openExit(candidates[index]);
+        }
+        const entry = this.cellGraph.coords(this.cellGraph.entry);
+        this.entryCell = { x: entry.cx, y: entry.cy };
+
+        this.analysis = window.MazeAnalyzer.analyze(this);
+        this._placeHoles(getHoleDensity(this.level));
+        this._placeObjects(this.level);
+        this._placePortals(this.level);
+        this._placeGems(this.level);
+        this._placeBumpers(this.level);
+        this._placeTiles(this.level);
+        this._buildExitZones();
+        this._paintSurfaces(this.level);
+        this._buildWalls();
+        this._buildHoles();
+        this._buildObjects();
+        this._buildTiles();
+        this._buildSurfaces();
+
+        this.isCustom = false;
+        this._updateEntryPosition();
+    }
+
+    /**
+     * Create the cell graph and choose its pixel size for the screen
+     * @param {number} canvasWidth - Canvas width for scaling
+     * @param {number} canvasHeight - Canvas height for scaling
+     * @param {number} targetCols - Desired grid columns
+     * @param {number} targetRows - Desired grid rows
+     * @param {boolean} fixedLayout - Keep the size even if cells get tiny
+     * @private
+     */
+    _layoutGraph(canvasWidth, canvasHeight, targetCols, targetRows, fixedLayout) {
+        const topology = MAZE_TOPOLOGIES[this.topology];
+        const ratio = this.wallRatio;
+        const ring = this.topology === 'theta';
         const exitZoneHeight = EXIT_CONFIG.zoneHeight;
-        let marginLeft, marginRight, marginTop, marginBottom;
 
-        if (isLandscape) {
-            // Landscape: Compact HUD on left side
-            marginLeft = 60;   // Space for compact HUD on left
-            marginRight = 20;
-            marginTop = 15;
-            marginBottom = 80; // Space for buttons at bottom
-        } else {
-            // Portrait: HUD on top
-            marginLeft = 15;
-            marginRight = 15;
-            marginTop = 90;    // Space for HUD at top
-            marginBottom = 90; // Space for buttons at bottom
+        const { marginLeft, marginRight, marginTop, marginBottom } =
+            this._applyMargins(canvasWidth, canvasHeight);
+
+        // Ring mazes have their exit zones all around, the others below
+        const availableWidth = canvasWidth - marginLeft - marginRight - (ring ? 2 * exitZoneHeight : 0);
+        const availableHeight = canvasHeight - marginTop - marginBottom - (ring ? 2 : 1) * exitZoneHeight;
+
+        // Size of the maze in pitches, and the cell size that fits it
+        const fitCellSize = (graph) => {
+            const units = graph.layout(1, 0);
+            const pitch = Math.min(availableWidth / units.width, availableHeight / units.height);
+            return Math.floor(pitch / (topology.pitchScale * (1 + ratio)));
+        };
+
+        let graphWidth = Math.max(2, Math.floor((targetCols - 1) / 2));
+        let graphHeight = Math.max(2, Math.floor((targetRows - 1) / 2));
+        let graph = topology.create(graphWidth, graphHeight);
+        let cellSize = fitCellSize(graph);
+
+        if (MAZE_CONFIG.sizing === 'scroll') {
+            cellSize = Math.max(MAZE_CONFIG.cellSize, cellSize);
+        } else if (fixedLayout) {
+            cellSize = Math.max(4, cellSize);
+        } else if (cellSize < MAZE_CONFIG.minCellSize) {
+            // Shrink the maze (its size is about proportional to cell counts)
+            const scale = Math.max(cellSize, 1) / MAZE_CONFIG.minCellSize;
+            graphWidth = Math.max(2, Math.floor(graphWidth * scale));
+            graphHeight = Math.max(2, Math.floor(graphHeight * scale));
+            graph = topology.create(graphWidth, graphHeight);
+            cellSize = MAZE_CONFIG.minCellSize;
+        }
+
+        this.cellGraph = graph;
+        this.cols = graphWidth * 2 + 1;
+        this.rows = graphHeight * 2 + 1;
+        this.cellSize = cellSize;
+        this.wallThickness = Math.max(2, Math.round(cellSize * ratio));
+
+        const pitch = (cellSize + this.wallThickness) * topology.pitchScale;
+        const padding = this.wallThickness / 2 + (ring ? exitZoneHeight : 0);
+        const size = graph.layout(pitch, padding);
+        this.width = size.width;
+        this.height = size.height;
+    }
+
+    /**
+     * Set the spawn point from the entry cell
+     * Balls start one cell inside the maze when the entry is on the top edge.
+     * @private
+     */
+    _updateEntryPosition() {
+        if (this.topology !== 'grid') {
+            const center = this.cellGraph.cellCenter(this.cellGraph.entry);
+            this.entryX = center.x;
+            this.entryY = center.y;
+            return;
         }
 
+        const row = this.entryCell.y === 0 ? 1 : this.entryCell.y;
+        const center = this.getCellCenter(this.entryCell.x, row);
+        this.entryX = center.x;
+        this.entryY = center.y;
+    }
+
+    /**
+     * Choose cell size and final grid size for the screen
+     * @param {number} canvasWidth - Canvas width for scaling
+     * @param {number} canvasHeight - Canvas height for scaling
+     * @param {number} targetCols - Desired columns
+     * @param {number} targetRows - Desired rows
+     * @param {boolean} fixedLayout - Keep the grid size even if cells get tiny
+     * @param {string} [sizing] - 'fit' or 'scroll' (defaults to MAZE_CONFIG.sizing)
+     * @param {Object} [margins] - Margin overrides { left, right, top, bottom }
+     * @param {number} [wallRatio] - Wall thickness relative to cellSize
+     * @private
+     */
+    _layout(canvasWidth, canvasHeight, targetCols, targetRows, fixedLayout,
+        sizing = MAZE_CONFIG.sizing, margins = null, wallRatio = MAZE_CONFIG.wallRatio) {
+        const scrolling = sizing === 'scroll';
+        const ratio = Math.max(0.05, Math.min(1, wallRatio));
+
+        // Even grid lines are walls (ratio wide), odd ones corridors (one cellSize)
+        const units = (count) => Math.floor(count / 2) + Math.ceil(count / 2) * ratio;
+        const fitCount = (available, size) => Math.floor(2 * (available / size - ratio) / (1 + ratio)) + 1;
+
+        const exitZoneHeight = EXIT_CONFIG.zoneHeight;
+        const { marginLeft, marginRight, marginTop, marginBottom } =
+            this._applyMargins(canvasWidth, canvasHeight, margins);
+
         // Calculate available space
         const availableWidth = canvasWidth - marginLeft - marginRight;
         const availableHeight = canvasHeight - marginTop - marginBottom - exitZoneHeight;
 
-        // Scale maze complexity based on level (higher caps for more complexity)
-        let targetCols = Math.min(31, 11 + Math.floor(level / 2) * 2); // Cap at 31 cols
-        let targetRows = Math.min(35, 13 + Math.floor(level / 2) * 2); // Cap at 35 rows
-
-        // Ensure odd dimensions for maze algorithm
-        if (targetCols % 2 === 0) targetCols++;
-        if (targetRows % 2 === 0) targetRows++;
-
         // Calculate cell size that would fit target dimensions
-        const minCellSize = 12; // Smaller for higher complexity
+        const minCellSize = MAZE_CONFIG.minCellSize;
         let cellSize = Math.floor(Math.min(
-            availableWidth / targetCols,
-            availableHeight / targetRows
+            availableWidth / units(targetCols),
+            availableHeight / units(targetRows)
         ));
 
-        // If cell size is too small, reduce grid size to fit
-        if (cellSize < minCellSize) {
+        if (scrolling) {
+            // Small mazes still fill the screen, large ones scroll instead of shrinking
+            cellSize = Math.max(MAZE_CONFIG.cellSize, cellSize);
+        } else if (fixedLayout) {
+            // Never drop cells from a shared layout, shrink cells instead
+            cellSize = Math.max(4, cellSize);
+        } else if (cellSize < minCellSize) {
+            // If cell size is too small, reduce grid size to fit
             cellSize = minCellSize;
             // Reduce cols/rows to fit within available space
-            targetCols = Math.floor(availableWidth / cellSize);
-            targetRows = Math.floor(availableHeight / cellSize);
+            targetCols = fitCount(availableWidth, cellSize);
+            targetRows = fitCount(availableHeight, cellSize);
             // Ensure odd and minimum
             if (targetCols % 2 === 0) targetCols--;
             if (targetRows % 2 === 0) targetRows--;
@@ -201,29 +706,156 @@ class MazeGenerator {
         this.cols = targetCols;
         this.rows = targetRows;
         this.cellSize = cellSize;
+        this.wallRatio = ratio;
+        this.wallThickness = ratio >= 1 ? cellSize : Math.max(2, Math.round(cellSize * ratio));
+
+        // Pixel edges of the grid lines
+        this.colOffsets = this._trackOffsets(this.cols);
+        this.rowOffsets = this._trackOffsets(this.rows);
 
         // Calculate maze dimensions (MUST fit within available space)
-        this.width = this.cols * this.cellSize;
-        this.height = this.rows * this.cellSize;
+        this.width = this.colOffsets[this.cols];
+        this.height = this.rowOffsets[this.rows];
+    }
+
+    /**
+     * Choose screen margins around the maze and store them for the renderer
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     * @param {Object} [margins] - Margin overrides { left, right, top, bottom }
+     * @returns {Object} { marginLeft, marginRight, marginTop, marginBottom }
+     * @private
+     */
+    _applyMargins(canvasWidth, canvasHeight, margins = null) {
+        // Detect orientation
+        const isLandscape = canvasWidth > canvasHeight;
+
+        // Calculate margins based on orientation
+        let marginLeft, marginRight, marginTop, marginBottom;
+
+        if (isLandscape) {
+            // Landscape: Compact HUD on left side
+            marginLeft = 60;   // Space for compact HUD on left
+            marginRight = 20;
+            marginTop = 15;
+            marginBottom = 80; // Space for buttons at bottom
+        } else {
+            // Portrait: HUD on top
+            marginLeft = 15;
+            marginRight = 15;
+            marginTop = 90;    // Space for HUD at top
+            marginBottom = 90; // Space for buttons at bottom
+        }
+
+        // Callers with their own panels (e.g. the level editor) reserve other space
+        if (margins) {
+            if (margins.left !== undefined) marginLeft = margins.left;
+            if (margins.right !== undefined) marginRight = margins.right;
+            if (margins.top !== undefined) marginTop = margins.top;
+            if (margins.bottom !== undefined) marginBottom = margins.bottom;
+        }
 
         // Store margins for renderer to use
         this.marginLeft = marginLeft;
         this.marginTop = marginTop;
+        this.marginRight = marginRight;
+        this.marginBottom = marginBottom;
 
-        // Generate maze
-        this.rng = new SeededRandom(Date.now());
-        this._generateMaze();
-        this._createEntryAndExits();
-        this._buildExitZones();
-        this._buildWallRects();
+        return { marginLeft, marginRight, marginTop, marginBottom };
+    }
+
+    /**
+     * Compute pixel edges along one axis
+     * Even grid lines are wallThickness wide, odd ones cellSize.
+     * @param {number} count - Number of grid lines
+     * @returns {number[]} count + 1 edges starting at 0
+     * @private
+     */
+    _trackOffsets(count) {
+        const offsets = [0];
+        for (let i = 0; i < count; i++) {
+            offsets.push(offsets[i] + (i % 2 === 1 ? this.cellSize : this.wallThickness));
+        }
+        return offsets;
+    }
+
+    /**
+     * Find the grid line containing a pixel position
+     * @param {number[]} offsets - Pixel edges (from _trackOffsets)
+     * @param {number} position - Pixel position
+     * @returns {number} Grid index, or -1 outside the maze
+     * @private
+     */
+    _findTrack(offsets, position) {
+        if (position < 0 || position >= offsets[offsets.length - 1]) return -1;
+
+        let low = 0;
+        let high = offsets.length - 2;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (offsets[mid] <= position) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Create a random stream derived from the current seed
+     * Separate streams keep e.g. exit scores stable if carving changes.
+     * @param {number} salt - Stream salt from RNG_STREAMS
+     * @returns {SeededRandom} Seeded random number generator
+     * @private
+     */
+    _createRng(salt) {
+        return new SeededRandom(((this.seed ^ salt) & 0x7fffffff) || 1);
+    }
+
+    /**
+     * Resolve an algorithm name, picking one from the seed for 'random'
+     * @param {string} name - Algorithm name or 'random'
+     * @param {boolean} [rectangular] - Whether the cell graph supports
+     *     row-based algorithms
+     * @returns {string} Key into MAZE_ALGORITHMS
+     * @private
+     */
+    _resolveAlgorithm(name, rectangular = true) {
+        const names = Object.keys(MAZE_ALGORITHMS)
+            .filter(key => rectangular || !MAZE_ALGORITHMS[key].rectangular);
+
+        if (name === 'random') {
+            return names[this._createRng(RNG_STREAMS.ALGORITHM).nextInt(0, names.length)];
+        }
+
+        if (!MAZE_ALGORITHMS[name]) {
+            console.warn('Unknown maze algorithm:', name);
+            return 'backtracker';
+        }
+
+        if (!names.includes(name)) {
+            console.warn(`Maze algorithm ${name} needs a rectangular layout, not ${this.topology}`);
+            return 'backtracker';
+        }
+
+        return name;
+    }
+
+    /**
+     * Resolve a topology name
+     * @param {string} name - Topology name
+     * @returns {string} Key into MAZE_TOPOLOGIES
+     * @private
+     */
+    _resolveTopology(name) {
+        if (!MAZE_TOPOLOGIES[name]) {
+            console.warn('Unknown maze topology:', name);
+            return 'grid';
+        }
 
-        // Set entry position (center top of maze)
-        this.entryX = this.width / 2;
-        this.entryY = this.cellSize * 1.5;
+        return name;
     }
 
     /**
-     * Generate maze using recursive backtracking
+     * Generate maze with the selected algorithm
      * @private
      */
     _generateMaze() {
@@ -239,45 +871,20 @@ class MazeGenerator {
 
         // Start carving from top-center (must be odd position)
         const startX = Math.floor(this.cols / 2);
-        const startY = 1;
-
-        // Make start position odd if needed
         const actualStartX = startX % 2 === 0 ? startX + 1 : startX;
 
-        // Recursive backtracking
-        this._carve(actualStartX, startY);
+        this.cellGraph = new GridCellGraph(this.grid, this.cols, this.rows, actualStartX);
+        MAZE_ALGORITHMS[this.algorithm].carve(this.cellGraph, this.rng);
     }
 
     /**
-     * Carve paths recursively using backtracking
-     * @param {number} x - Current X position
-     * @param {number} y - Current Y position
+     * Open loops by removing a share of the dead ends
+     * @param {number} factor - Fraction of dead ends to remove (0-1)
      * @private
      */
-    _carve(x, y) {
-        // Mark current cell as path
-        this.grid[y][x] = CELL_TYPES.PATH;
-
-        // Shuffle directions for randomness
-        const directions = this.rng.shuffle([...DIRECTIONS]);
-
-        for (const dir of directions) {
-            // Calculate new position (2 cells away for proper maze)
-            const nx = x + dir.dx * 2;
-            const ny = y + dir.dy * 2;
-
-            // Check bounds and if cell is unvisited (still a wall)
-            if (nx > 0 && nx < this.cols - 1 &&
-                ny > 0 && ny < this.rows - 1 &&
-                this.grid[ny][nx] === CELL_TYPES.WALL) {
-
-                // Carve through the wall between cells
-                this.grid[y + dir.dy][x + dir.dx] = CELL_TYPES.PATH;
-
-                // Recursively carve from new position
-                this._carve(nx, ny);
-            }
-        }
+    _braidMaze(factor) {
+        this.braidFactor = MAZE_CONFIG.braiding ? factor : 0;
+        braidMaze(this.cellGraph, this._createRng(RNG_STREAMS.BRAID), this.braidFactor);
     }
 
     /**
@@ -285,10 +892,12 @@ class MazeGenerator {
      * @private
      */
     _createEntryAndExits() {
-        // Create entry at top center
-        const centerX = Math.floor(this.cols / 2);
+        // Create entry at top center, on a corridor column like the carving start
+        const middle = Math.floor(this.cols / 2);
+        const centerX = middle % 2 === 0 ? middle + 1 : middle;
         this.grid[0][centerX] = CELL_TYPES.ENTRY;
         this.grid[1][centerX] = CELL_TYPES.PATH;
+        this.entryCell = { x: centerX, y: 0 };
 
         // Find path cells in the second-to-last row to create exits
         this.exitColumns = [];
@@ -303,7 +912,8 @@ class MazeGenerator {
             let bestCol = targetCol;
             let minDist = Infinity;
 
-            for (let x = 1; x < this.cols - 1; x++) {
+            // Only corridor columns, so openings are a full cell wide with thin walls
+            for (let x = 1; x < this.cols - 1; x += 2) {
                 if (this.grid[this.rows - 2][x] === CELL_TYPES.PATH) {
                     const dist = Math.abs(x - targetCol);
                     if (dist < minDist) {
@@ -332,88 +942,1087 @@ class MazeGenerator {
     }
 
     /**
-     * Build exit zones at bottom of maze
+     * Turn a share of the corridor cells into holes
+     * Cells on the shortest route to any exit stay free, so holes never
+     * block a level; they wait in side branches and loops.
+     * @param {number} density - Share of free cells that become holes (0-1)
      * @private
      */
-    _buildExitZones() {
-        this.exitZones = [];
+    _placeHoles(density) {
+        this.holeCells = [];
+        if (density <= 0 || !this.analysis) return;
 
-        // Exit scores - will be shuffled each level
-        const exitScores = [
-            { score: 500, color: '#4ade80', label: '500' },
-            { score: 100, color: '#60a5fa', label: '100' },
-            { score: 1000, color: '#facc15', label: '1000' },
-            { score: 0, color: '#94a3b8', label: '0' },
-            { score: 250, color: '#f472b6', label: '250' }
-        ];
+        const grid = this.topology === 'grid';
+        const key = (cell) => grid ? cell.y * this.cols + cell.x : cell;
 
-        // Shuffle exit scores for each level (using RNG for consistency)
-        const shuffled = this.rng.shuffle(exitScores);
-
-        // Create zones based on exit columns
-        const zoneWidth = this.width / 5;
+        const onRoute = new Set();
+        for (const route of this.analysis.exits) {
+            for (const cell of route.path) onRoute.add(key(cell));
+        }
 
-        for (let i = 0; i < 5; i++) {
-            const zoneX = i * zoneWidth;
+        const candidates = [];
+        if (grid) {
+            for (let y = 1; y < this.rows - 1; y += 2) {
+                for (let x = 1; x < this.cols - 1; x += 2) {
+                    if (this.grid[y][x] === CELL_TYPES.PATH && !onRoute.has(key({ x, y }))) {
+                        candidates.push({ x, y });
+                    }
+                }
+            }
+        } else {
+            for (let id = 0; id < this.cellGraph.cellCount; id++) {
+                if (!onRoute.has(id)) candidates.push(id);
+            }
+        }
+
+        const count = Math.round(candidates.length * density);
+        const holes = this._createRng(RNG_STREAMS.HOLES).shuffle(candidates).slice(0, count);
+        if (holes.length === 0) return;
+
+        if (grid) {
+            for (const cell of holes) this.grid[cell.y][cell.x] = CELL_TYPES.HOLE;
+
+            // Holes close off parts of the maze, so dead ends change
+            this.analysis = window.MazeAnalyzer.analyze(this);
+        } else {
+            this.holeCells = holes;
+        }
+    }
+
+    /**
+     * Build hole circles from the grid (or the graph's hole cells)
+     * @private
+     */
+    _buildHoles() {
+        const radius = this.cellSize * HAZARD_CONFIG.holeRadius;
+        const centers = [];
+
+        if (this.topology === 'grid') {
+            for (let y = 0; y < this.rows; y++) {
+                for (let x = 0; x < this.cols; x++) {
+                    if (this.grid[y][x] === CELL_TYPES.HOLE) centers.push(this.getCellCenter(x, y));
+                }
+            }
+        } else {
+            for (const id of this.holeCells) centers.push(this.cellGraph.cellCenter(id));
+        }
+
+        this.holes = centers.map(center => ({ x: center.x, y: center.y, radius }));
+    }
+
+    /**
+     * Place keys with their doors and switches with their gates
+     * Doors and gates close the middle of the hardest routes. Every key
+     * and switch can be reached with all of them closed, so no level needs
+     * a key it cannot get to; dead ends off the routes are preferred.
+     * Only square grid mazes get objects.
+     * @param {number} level - Level number
+     * @private
+     */
+    _placeObjects(level) {
+        this.objectCells = [];
+        if (this.topology !== 'grid' || !this.analysis) return;
+
+        const routes = this.analysis.exits
+            .filter(route => route.reachable)
+            .sort((a, b) => b.difficulty - a.difficulty);
+        if (routes.length === 0) return;
+
+        const rng = this._createRng(RNG_STREAMS.OBJECTS);
+        const barriers = [];
+
+        const place = (count, triggerType, barrierType) => {
+            for (let channel = 0; channel < count; channel++) {
+                const route = routes[barriers.length % routes.length];
+                const barrier = this._pickBarrierCell(route.path, barriers, rng);
+                if (!barrier) return;
+
+                barriers.push(barrier);
+                const trigger = this._pickTriggerCell(barriers, rng);
+                if (!trigger) {
+                    barriers.pop();
+                    return;
+                }
+
+                this.objectCells.push({ type: triggerType, channel, x: trigger.x, y: trigger.y });
+                this.objectCells.push(barrierType === MAZE_OBJECT_TYPES.GATE
+                    ? { type: barrierType, channel, x: barrier.x, y: barrier.y, open: false }
+                    : { type: barrierType, channel, x: barrier.x, y: barrier.y });
+            }
+        };
+
+        place(getDoorCount(level), MAZE_OBJECT_TYPES.KEY, MAZE_OBJECT_TYPES.DOOR);
+        place(getSwitchCount(level), MAZE_OBJECT_TYPES.SWITCH, MAZE_OBJECT_TYPES.GATE);
+    }
+
+    /**
+     * Pick a wall gap in the middle third of a route for a door or gate
+     * The gap must not cut the ball off from keys and switches placed
+     * before it.
+     * @param {Object[]} path - Route cells from the entry
+     * @param {Object[]} barriers - Cells already closed by doors and gates
+     * @param {SeededRandom} rng - Random number generator
+     * @returns {Object|null} Cell { x, y } or null if the route has no usable gap
+     * @private
+     */
+    _pickBarrierCell(path, barriers, rng) {
+        const candidates = path
+            .slice(Math.floor(path.length / 3), Math.ceil(path.length * 2 / 3))
+            .filter(cell => (cell.x + cell.y) % 2 === 1 && cell.y > 1 && cell.y < this.rows - 1)
+            .filter(cell => !barriers.some(barrier => barrier.x === cell.x && barrier.y === cell.y));
+
+        const triggers = this.objectCells.filter(object =>
+            object.type === MAZE_OBJECT_TYPES.KEY || object.type === MAZE_OBJECT_TYPES.SWITCH);
+
+        for (const cell of rng.shuffle(candidates)) {
+            const distance = this._getDistancesWithBarriers(barriers.concat(cell));
+            if (triggers.every(trigger => distance[trigger.y * this.cols + trigger.x] > 0)) {
+                return cell;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Measure distances from the entry with doors and gates closed
+     * @param {Object[]} barriers - Cells closed by doors and gates
+     * @returns {Int32Array} Steps per grid cell, -1 if unreachable
+     * @private
+     */
+    _getDistancesWithBarriers(barriers) {
+        return window.MazeAnalyzer.findDistances(this._closeBarriers(barriers), this.entryCell,
+            this.tileCells, this.getPortalCells());
+    }
+
+    /**
+     * Copy the grid with doors and gates turned into walls
+     * @param {Object[]} barriers - Cells closed by doors and gates
+     * @returns {number[][]} Grid copy
+     * @private
+     */
+    _closeBarriers(barriers) {
+        const grid = this.grid.map(row => [...row]);
+        for (const cell of barriers) grid[cell.y][cell.x] = CELL_TYPES.WALL;
+        return grid;
+    }
+
+    /**
+     * Pick a corridor cell for a key or switch that the ball can reach
+     * while every door and gate is closed
+     * @param {Object[]} barriers - Cells closed by doors and gates
+     * @param {SeededRandom} rng - Random number generator
+     * @returns {Object|null} Cell { x, y } or null if none is free
+     * @private
+     */
+    _pickTriggerCell(barriers, rng) {
+        const distance = this._getDistancesWithBarriers(barriers);
+        const isBarrier = (x, y) => barriers.some(cell => cell.x === x && cell.y === y);
+        const onRoute = new Set();
+        for (const route of this.analysis.exits) {
+            for (const cell of route.path) onRoute.add(cell.y * this.cols + cell.x);
+        }
+
+        const isOpen = (x, y) => this.grid[y][x] !== CELL_TYPES.WALL
+            && this.grid[y][x] !== CELL_TYPES.HOLE && !isBarrier(x, y);
+        const candidates = [];
+        const deadEnds = [];
+
+        for (let y = 1; y < this.rows - 1; y += 2) {
+            for (let x = 1; x < this.cols - 1; x += 2) {
+                const index = y * this.cols + x;
+                if (this.grid[y][x] !== CELL_TYPES.PATH || distance[index] <= 0) continue;
+
+                // Not the spawn cell, and one object per cell
+                if (x === this.entryCell.x && y === this.entryCell.y + 1) continue;
+                if (this.objectCells.some(object => object.x === x && object.y === y)) continue;
+
+                candidates.push({ x, y });
+
+                const exits = DIRECTIONS.filter(dir => isOpen(x + dir.dx, y + dir.dy)).length;
+                if (exits === 1 && !onRoute.has(index)) deadEnds.push({ x, y });
+            }
+        }
+
+        const pool = deadEnds.length > 0 ? deadEnds : candidates;
+        return pool.length > 0 ? pool[rng.nextInt(0, pool.length)] : null;
+    }
+
+    /**
+     * Place portal pairs in dead ends
+     * Each pair links a random dead end with one of the farther half of
+     * the others. Corridor cells off the exit routes stand in when dead
+     * ends run out. Between two dead ends a portal turns the ball's
+     * velocity by its rotation, so a ball rolling into one leaves its
+     * partner's through the opening. Only square grid mazes get portals.
+     * @param {number} level - Level number
+     * @private
+     */
+    _placePortals(level) {
+        const pairs = getPortalPairCount(level);
+        if (this.topology !== 'grid' || !this.analysis || pairs === 0) return;
+
+        const isOpen = (x, y) => this.grid[y][x] !== CELL_TYPES.WALL && this.grid[y][x] !== CELL_TYPES.HOLE;
+        const reach = window.MazeAnalyzer.findDistances(this.grid, this.entryCell);
+        const onRoute = new Set();
+        for (const route of this.analysis.exits) {
+            for (const cell of route.path) onRoute.add(cell.y * this.cols + cell.x);
+        }
+        const deadEnds = [];
+        const corridors = [];
+
+        for (let y = 1; y < this.rows - 1; y += 2) {
+            for (let x = 1; x < this.cols - 1; x += 2) {
+                const index = y * this.cols + x;
+                if (this.grid[y][x] !== CELL_TYPES.PATH || reach[index] <= 0) continue;
+                if (x === this.entryCell.x && y === this.entryCell.y + 1) continue;
+                if (this.objectCells.some(object => object.x === x && object.y === y)) continue;
+
+                const open = DIRECTIONS.filter(dir => isOpen(x + dir.dx, y + dir.dy));
+                if (open.length === 1) {
+                    deadEnds.push({ x, y, opening: open[0] });
+                } else if (!onRoute.has(index)) {
+                    corridors.push({ x, y, opening: null });
+                }
+            }
+        }
+
+        const rng = this._createRng(RNG_STREAMS.PORTALS);
+        const free = rng.shuffle(deadEnds).concat(rng.shuffle(corridors));
+        const angle = (dx, dy) => Math.atan2(dy, dx) * 180 / Math.PI;
+        const rotation = (from, to) => from.opening && to.opening
+            ? (Math.round(angle(to.opening.dx, to.opening.dy) - angle(-from.opening.dx, -from.opening.dy)) + 720) % 360
+            : 0;
+
+        for (let channel = 0; channel < pairs && free.length >= 2; channel++) {
+            const a = free.shift();
+            const distance = window.MazeAnalyzer.findDistances(this.grid, a);
+            const ends = free.filter(cell => cell.opening);
+            const pool = (ends.length > 0 ? ends : free)
+                .sort((p, q) => distance[q.y * this.cols + q.x] - distance[p.y * this.cols + p.x]);
+            const b = pool[rng.nextInt(0, Math.ceil(pool.length / 2))];
+            free.splice(free.indexOf(b), 1);
+
+            this.objectCells.push(
+                { type: MAZE_OBJECT_TYPES.PORTAL, channel, x: a.x, y: a.y, rotation: rotation(a, b) },
+                { type: MAZE_OBJECT_TYPES.PORTAL, channel, x: b.x, y: b.y, rotation: rotation(b, a) }
+            );
+        }
+
+        // Portals are shortcuts, so the routes can change
+        this.analysis = window.MazeAnalyzer.analyze(this);
+    }
+
+    /**
+     * Place gems in dead ends and side branches
+     * Every corridor cell off the exit routes can hold one, dead ends first.
+     * A gem is worth the deepest tier of OBJECT_CONFIG.gemTiers its
+     * distance from the nearest route reaches. Only square grid mazes get
+     * gems.
+     * @param {number} level - Level number
+     * @private
+     */
+    _placeGems(level) {
+        if (this.topology !== 'grid' || !this.analysis) return;
+
+        const routeCells = [];
+        for (const route of this.analysis.exits) routeCells.push(...route.path);
+        if (routeCells.length === 0) return;
+
+        const depth = window.MazeAnalyzer.findDistancesTo(this.grid, routeCells, null, this.getPortalCells());
+        const isOpen = (x, y) => this.grid[y][x] !== CELL_TYPES.WALL && this.grid[y][x] !== CELL_TYPES.HOLE;
+        const deadEnds = [];
+        const branches = [];
+
+        for (let y = 1; y < this.rows - 1; y += 2) {
+            for (let x = 1; x < this.cols - 1; x += 2) {
+                const steps = depth[y * this.cols + x];
+                if (this.grid[y][x] !== CELL_TYPES.PATH || steps <= 0) continue;
+                if (this.objectCells.some(object => object.x === x && object.y === y)) continue;
+
+                const exits = DIRECTIONS.filter(dir => isOpen(x + dir.dx, y + dir.dy)).length;
+                (exits === 1 ? deadEnds : branches).push({ x, y, depth: steps });
+            }
+        }
+
+        const rng = this._createRng(RNG_STREAMS.GEMS);
+        const cells = rng.shuffle(deadEnds).concat(rng.shuffle(branches)).slice(0, getGemCount(level));
+
+        for (const cell of cells) {
+            const tier = OBJECT_CONFIG.gemTiers.filter(t => cell.depth >= t.minDepth).pop();
+            this.objectCells.push({ type: MAZE_OBJECT_TYPES.GEM, x: cell.x, y: cell.y, value: tier.value });
+        }
+    }
+
+    /**
+     * Place bumpers against the back walls of dead ends and kickers
+     * across the outer corners of turns
+     * Neither narrows a corridor enough to block the ball. Bumpers can
+     * share a dead end with a gem; other objects and the spawn cell keep
+     * their cells to themselves. Only square grid mazes
+     * get bumpers.
+     * @param {number} level - Level number
+     * @private
+     */
+    _placeBumpers(level) {
+        if (this.topology !== 'grid' || !this.analysis) return;
+
+        const isOpen = (x, y) => this.grid[y][x] !== CELL_TYPES.WALL && this.grid[y][x] !== CELL_TYPES.HOLE;
+        const bumpers = [];
+        const kickers = [];
+
+        for (let y = 1; y < this.rows - 1; y += 2) {
+            for (let x = 1; x < this.cols - 1; x += 2) {
+                if (this.grid[y][x] !== CELL_TYPES.PATH) continue;
+                if (x === this.entryCell.x && y === this.entryCell.y + 1) continue;
+
+                // A gem in the middle of a dead end leaves room for a bumper at its back
+                const occupant = this.objectCells.find(object => object.x === x && object.y === y);
+                if (occupant && occupant.type !== MAZE_OBJECT_TYPES.GEM) continue;
+
+                const open = DIRECTIONS.filter(dir => isOpen(x + dir.dx, y + dir.dy));
+                if (open.length === 1) {
+                    const back = DIRECTIONS.find(dir => dir.dx === -open[0].dx && dir.dy === -open[0].dy);
+                    bumpers.push({ type: MAZE_OBJECT_TYPES.BUMPER, x, y, side: back.name });
+                } else if (open.length === 2 && open[0].dx !== -open[1].dx && open[0].dy !== -open[1].dy) {
+                    // The corner away from both openings
+                    const vertical = open.find(dir => dir.dx === 0).dy < 0 ? 'down' : 'up';
+                    const horizontal = open.find(dir => dir.dy === 0).dx < 0 ? 'right' : 'left';
+                    if (!occupant) kickers.push({ type: MAZE_OBJECT_TYPES.KICKER, x, y, side: `${vertical}-${horizontal}` });
+                }
+            }
+        }
+
+        const rng = this._createRng(RNG_STREAMS.BUMPERS);
+        this.objectCells.push(
+            ...rng.shuffle(bumpers).slice(0, getBumperCount(level, BUMPER_CONFIG.firstBumperLevel)),
+            ...rng.shuffle(kickers).slice(0, getBumperCount(level, BUMPER_CONFIG.firstKickerLevel))
+        );
+    }
+
+    /**
+     * Get the color of a gem by its value
+     * @param {number} value - Gem value
+     * @returns {string} Color of the highest tier the value reaches
+     * @private
+     */
+    _getGemColor(value) {
+        const tiers = OBJECT_CONFIG.gemTiers;
+        return (tiers.filter(tier => value >= tier.value).pop() || tiers[0]).color;
+    }
+
+    /**
+     * Place one-way gates, boost pads and conveyors on straight corridors
+     * Gates sit on the exit routes, pointing the way the route runs, and
+     * each one is kept only if the ball can still reach an exit, every key
+     * and every switch from wherever it can roll. Pads and conveyors never
+     * block the ball, so they go anywhere and point either way along their
+     * corridor. Only square grid mazes get tiles.
+     * @param {number} level - Level number
+     * @private
+     */
+    _placeTiles(level) {
+        this.tileCells = [];
+        if (this.topology !== 'grid' || !this.analysis) return;
+
+        const rng = this._createRng(RNG_STREAMS.TILES);
+        const corridors = this._findStraightCorridors();
+        const byIndex = new Map(corridors.map(cell => [cell.y * this.cols + cell.x, cell]));
+        const used = new Set();
+
+        // Gates follow the routes toward their exits
+        const gates = [];
+        for (const route of this.analysis.exits) {
+            for (let i = 1; i < route.path.length - 1; i++) {
+                const index = route.path[i].y * this.cols + route.path[i].x;
+                if (!byIndex.has(index) || gates.some(gate => gate.index === index)) continue;
+
+                const dx = route.path[i + 1].x - route.path[i].x;
+                const dy = route.path[i + 1].y - route.path[i].y;
+                const direction = DIRECTIONS.find(dir => dir.dx === dx && dir.dy === dy).name;
+                gates.push({ index, x: route.path[i].x, y: route.path[i].y, direction });
+            }
+        }
+
+        let gateCount = getTileCount(level, TILE_CONFIG.firstOneWayLevel);
+        for (const gate of rng.shuffle(gates)) {
+            if (gateCount === 0) break;
+
+            this.grid[gate.y][gate.x] = CELL_TYPES.ONE_WAY;
+            this.tileCells.push({ x: gate.x, y: gate.y, direction: gate.direction });
+
+            if (this._isSolvable()) {
+                used.add(gate.index);
+                gateCount--;
+            } else {
+                this.grid[gate.y][gate.x] = CELL_TYPES.PATH;
+                this.tileCells.pop();
+            }
+        }
+
+        // Pads and conveyors on the corridors left over
+        const free = rng.shuffle(corridors.filter(cell => !used.has(cell.y * this.cols + cell.x)));
+        const place = (count, type) => {
+            for (const cell of free.splice(0, count)) {
+                const axis = cell.vertical ? ['up', 'down'] : ['left', 'right'];
+                this.grid[cell.y][cell.x] = type;
+                this.tileCells.push({ x: cell.x, y: cell.y, direction: axis[rng.nextInt(0, 2)] });
+            }
+        };
+        place(getTileCount(level, TILE_CONFIG.firstBoostLevel), CELL_TYPES.BOOST);
+        place(getTileCount(level, TILE_CONFIG.firstConveyorLevel), CELL_TYPES.CONVEYOR);
+
+        // Gates can force the ball onto longer routes
+        if (used.size > 0) this.analysis = window.MazeAnalyzer.analyze(this);
+    }
+
+    /**
+     * Paint surface material regions
+     * Regions grow from random corridor cells over the open grid; from
+     * SURFACE_CONFIG.firstIceRunLevel the route to the best-paying exit
+     * also ends in a run of ice. Only square grid mazes get materials.
+     * @param {number} level - Level number
+     * @private
+     */
+    _paintSurfaces(level) {
+        this.surfaceGrid = this.grid.map(row => row.map(() => null));
+        if (this.topology !== 'grid' || !this.analysis) return;
+
+        const rng = this._createRng(RNG_STREAMS.SURFACES);
+        const materials = Object.keys(SURFACE_CONFIG.materials);
+        const isFloor = (x, y) => this.grid[y] !== undefined && this.grid[y][x] !== undefined
+            && this.grid[y][x] !== CELL_TYPES.WALL && this.grid[y][x] !== CELL_TYPES.HOLE
+            && this.grid[y][x] !== CELL_TYPES.ENTRY && this.grid[y][x] !== CELL_TYPES.EXIT;
+
+        const seeds = [];
+        for (let y = 1; y < this.rows - 1; y += 2) {
+            for (let x = 1; x < this.cols - 1; x += 2) {
+                if (isFloor(x, y)) seeds.push({ x, y });
+            }
+        }
+
+        for (const seed of rng.shuffle(seeds).slice(0, getSurfaceRegionCount(level))) {
+            if (this.surfaceGrid[seed.y][seed.x]) continue;
+
+            const material = materials[rng.nextInt(0, materials.length)];
+            const queue = [seed];
+            this.surfaceGrid[seed.y][seed.x] = material;
+
+            for (let head = 0; head < queue.length && queue.length < SURFACE_CONFIG.regionSize; head++) {
+                for (const dir of DIRECTIONS) {
+                    const x = queue[head].x + dir.dx;
+                    const y = queue[head].y + dir.dy;
+                    if (!isFloor(x, y) || this.surfaceGrid[y][x] || queue.length >= SURFACE_CONFIG.regionSize) continue;
+
+                    this.surfaceGrid[y][x] = material;
+                    queue.push({ x, y });
+                }
+            }
+        }
+
+        // Ice in front of the best exit makes its last stretch hard to stop on
+        if (level < SURFACE_CONFIG.firstIceRunLevel || this.exitZones.length === 0) return;
+
+        const best = this.exitZones.reduce((top, zone) => zone.score > top.score ? zone : top);
+        const route = this.analysis.exits.find(exit => exit.column === best.column && exit.reachable);
+        if (!route) return;
+
+        const run = route.path.filter(cell => isFloor(cell.x, cell.y)).slice(-SURFACE_CONFIG.iceRunLength);
+        for (const cell of run) this.surfaceGrid[cell.y][cell.x] = 'ice';
+    }
+
+    /**
+     * Build surface material cells in pixels
+     * @private
+     */
+    _buildSurfaces() {
+        this.surfaces = [];
+
+        this.surfaceGrid.forEach((row, y) => {
+            row.forEach((material, x) => {
+                if (!material || !SURFACE_CONFIG.materials[material]) return;
+                if (this.grid[y][x] === CELL_TYPES.WALL) return;
+
+                this.surfaces.push({ material, cellX: x, cellY: y, ...this.getCellRect(x, y) });
+            });
+        });
+    }
+
+    /**
+     * Find corridor cells open on two opposite sides only
+     * Skips the spawn cell and cells holding keys or switches.
+     * @returns {Object[]} Cells { x, y, vertical }
+     * @private
+     */
+    _findStraightCorridors() {
+        const isOpen = (x, y) => this.grid[y][x] !== CELL_TYPES.WALL && this.grid[y][x] !== CELL_TYPES.HOLE;
+        const cells = [];
+
+        for (let y = 1; y < this.rows - 1; y += 2) {
+            for (let x = 1; x < this.cols - 1; x += 2) {
+                if (this.grid[y][x] !== CELL_TYPES.PATH) continue;
+                if (x === this.entryCell.x && y === this.entryCell.y + 1) continue;
+                if (this.objectCells.some(object => object.x === x && object.y === y)) continue;
+
+                const up = isOpen(x, y - 1) && isOpen(x, y + 1);
+                const across = isOpen(x - 1, y) && isOpen(x + 1, y);
+                const closedUp = !isOpen(x, y - 1) && !isOpen(x, y + 1);
+                const closedAcross = !isOpen(x - 1, y) && !isOpen(x + 1, y);
+                if ((up && closedAcross) || (across && closedUp)) cells.push({ x, y, vertical: up });
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * Check that one-way gates cannot trap the ball
+     * With doors and gates open, every exit is reachable and every cell
+     * the ball can reach still leads to an exit. With them closed, every
+     * key and switch stays reachable from every cell the ball can reach.
+     * @returns {boolean} Whether the level can always be finished
+     * @private
+     */
+    _isSolvable() {
+        const analyzer = window.MazeAnalyzer;
+        const exits = this.exitColumns.map(column => ({ x: column, y: this.rows - 1 }));
+        const trapped = (reach, leadsOut) => reach.some((steps, index) => steps >= 0 && leadsOut[index] < 0);
+
+        const portals = this.getPortalCells();
+        const reach = analyzer.findDistances(this.grid, this.entryCell, this.tileCells, portals);
+        if (exits.some(exit => reach[exit.y * this.cols + exit.x] < 0)) return false;
+        if (trapped(reach, analyzer.findDistancesTo(this.grid, exits, this.tileCells, portals))) return false;
+
+        const barriers = this.objectCells.filter(object =>
+            object.type === MAZE_OBJECT_TYPES.DOOR || object.type === MAZE_OBJECT_TYPES.GATE);
+        const triggers = this.objectCells.filter(object =>
+            object.type === MAZE_OBJECT_TYPES.KEY || object.type === MAZE_OBJECT_TYPES.SWITCH);
+        if (triggers.length === 0) return true;
+
+        const closed = this._closeBarriers(barriers);
+        const closedReach = analyzer.findDistances(closed, this.entryCell, this.tileCells, portals);
+        return triggers.every(trigger =>
+            !trapped(closedReach, analyzer.findDistancesTo(closed, [trigger], this.tileCells, portals)));
+    }
+
+    /**
+     * Build floor tiles in pixels from their grid cells
+     * @private
+     */
+    _buildTiles() {
+        this.tiles = this.tileCells
+            .filter(tile => TILE_CELL_TYPES.includes(this.grid[tile.y][tile.x]))
+            .map(tile => {
+                const direction = DIRECTIONS.find(dir => dir.name === tile.direction);
+                return {
+                    type: this.grid[tile.y][tile.x],
+                    cellX: tile.x,
+                    cellY: tile.y,
+                    ...this.getCellRect(tile.x, tile.y),
+                    direction: tile.direction,
+                    dx: direction.dx,
+                    dy: direction.dy
+                };
+            });
+    }
+
+    /**
+     * Build maze objects in pixels from their grid cells
+     * Doors and gates get a collider covering their wall gap.
+     * @private
+     */
+    _buildObjects() {
+        const radius = this.cellSize * OBJECT_CONFIG.objectRadius;
+
+        this.objects = this.objectCells.map(object => {
+            if (object.type === MAZE_OBJECT_TYPES.BUMPER || object.type === MAZE_OBJECT_TYPES.KICKER) {
+                return this._buildBumper(object);
+            }
+            if (object.type === MAZE_OBJECT_TYPES.PORTAL) {
+                return this._buildPortal(object);
+            }
+
+            const center = this.getCellCenter(object.x, object.y);
+            const keyed = object.type === MAZE_OBJECT_TYPES.KEY || object.type === MAZE_OBJECT_TYPES.DOOR;
+            const palette = keyed ? OBJECT_CONFIG.keyColors : OBJECT_CONFIG.switchColors;
+            const barrier = object.type === MAZE_OBJECT_TYPES.DOOR || object.type === MAZE_OBJECT_TYPES.GATE;
+            const gem = object.type === MAZE_OBJECT_TYPES.GEM;
+
+            return {
+                type: object.type,
+                channel: gem ? null : object.channel,
+                cellX: object.x,
+                cellY: object.y,
+                x: center.x,
+                y: center.y,
+                radius,
+                color: gem ? this._getGemColor(object.value) : palette[object.channel % palette.length],
+                value: gem ? object.value : 0,
+                open: object.open === true,
+                wall: barrier ? this._createCellCollider(object.x, object.y) : null
+            };
+        });
+    }
+
+    /**
+     * Build a bumper or kicker in pixels
+     * Bumpers are circles centered on the wall of their side; kickers are
+     * segments across the corner of theirs.
+     * @param {Object} object - Bumper or kicker cell { type, x, y, side }
+     * @returns {Object} Object with its collider, restitution and score
+     * @private
+     */
+    _buildBumper(object) {
+        const rect = this.getCellRect(object.x, object.y);
+        const bumper = object.type === MAZE_OBJECT_TYPES.BUMPER;
+        let collider;
+
+        if (bumper) {
+            const side = DIRECTIONS.find(dir => dir.name === object.side);
+            collider = {
+                x: rect.x + rect.width * (1 + side.dx) / 2,
+                y: rect.y + rect.height * (1 + side.dy) / 2,
+                radius: this.cellSize * BUMPER_CONFIG.bumperRadius,
+                isCircle: true
+            };
+        } else {
+            const [vertical, horizontal] = object.side.split('-');
+            const sx = horizontal === 'left' ? -1 : 1;
+            const sy = vertical === 'up' ? -1 : 1;
+            const cornerX = rect.x + rect.width * (1 + sx) / 2;
+            const cornerY = rect.y + rect.height * (1 + sy) / 2;
+            const inset = BUMPER_CONFIG.kickerInset;
+            collider = {
+                x1: cornerX,
+                y1: cornerY - sy * rect.height * inset,
+                x2: cornerX - sx * rect.width * inset,
+                y2: cornerY,
+                radius: this.cellSize * BUMPER_CONFIG.kickerRadius,
+                isSegment: true
+            };
+        }
+
+        return {
+            type: object.type,
+            channel: null,
+            cellX: object.x,
+            cellY: object.y,
+            side: object.side,
+            x: bumper ? collider.x : (collider.x1 + collider.x2) / 2,
+            y: bumper ? collider.y : (collider.y1 + collider.y2) / 2,
+            radius: collider.radius,
+            color: bumper ? BUMPER_CONFIG.bumperColor : BUMPER_CONFIG.kickerColor,
+            restitution: bumper ? BUMPER_CONFIG.bumperRestitution : BUMPER_CONFIG.kickerRestitution,
+            score: bumper ? BUMPER_CONFIG.bumperScore : BUMPER_CONFIG.kickerScore,
+            collider
+        };
+    }
+
+    /**
+     * Build a portal in pixels
+     * @param {Object} object - Portal cell { type, channel, x, y, rotation? }
+     * @returns {Object} Portal with its rotation in degrees clockwise
+     * @private
+     */
+    _buildPortal(object) {
+        const center = this.getCellCenter(object.x, object.y);
+        const colors = PORTAL_CONFIG.colors;
+
+        return {
+            type: object.type,
+            channel: object.channel,
+            cellX: object.x,
+            cellY: object.y,
+            x: center.x,
+            y: center.y,
+            radius: this.cellSize * PORTAL_CONFIG.radius,
+            color: colors[object.channel % colors.length],
+            rotation: object.rotation || 0
+        };
+    }
+
+    /**
+     * Build exit zones at bottom of maze
+     * @private
+     */
+    _buildExitZones() {
+        this.exitZones = [];
+
+        // Exit scores - placed per EXIT_CONFIG.scoreStrategy each level
+        const exitScores = EXIT_CONFIG.scores;
+
+        const shuffled = this._placeExitScores(exitScores, EXIT_CONFIG.scoreStrategy);
+
+        // Create zones based on exit columns (evenly split across the width)
+        const zoneCount = shuffled.length;
+        this._createExitZones(shuffled.map((definition, i) => ({
+            score: definition.score,
+            color: definition.color,
+            label: definition.label,
+            column: this.exitColumns[i] || Math.floor((i + 0.5) * this.cols / zoneCount),
+            start: i / zoneCount,
+            end: (i + 1) / zoneCount
+        })));
+    }
+
+    /**
+     * Create exit zones below the maze
+     * Zones without explicit bounds are split at the midpoints between
+     * neighboring exit columns.
+     * @param {Object[]} definitions - { score, color, label, column, start?, end? }
+     *     with start/end as fractions of the maze width
+     * @private
+     */
+    _createExitZones(definitions) {
+        this.exitZones = [];
+
+        if (this.topology === 'theta') {
+            this._createRingExitZones(definitions);
+            return;
+        }
+
+        const centers = definitions.map(definition => this._getExitCenterX(definition.column) / this.width);
+
+        definitions.forEach((definition, i) => {
+            const start = definition.start !== undefined
+                ? definition.start
+                : (i === 0 ? 0 : (centers[i - 1] + centers[i]) / 2);
+            const end = definition.end !== undefined
+                ? definition.end
+                : (i === definitions.length - 1 ? 1 : (centers[i] + centers[i + 1]) / 2);
 
             this.exitZones.push({
-                x: zoneX,
+                x: start * this.width,
                 y: this.height,
-                width: zoneWidth,
+                width: (end - start) * this.width,
                 height: EXIT_CONFIG.zoneHeight,
-                score: shuffled[i].score,
-                color: shuffled[i].color,
-                label: shuffled[i].label,
-                column: this.exitColumns[i] || Math.floor((i + 0.5) * this.cols / 5)
+                score: definition.score,
+                color: definition.color,
+                label: definition.label,
+                column: definition.column
             });
+        });
+    }
+
+    /**
+     * Get the pixel X center of an exit
+     * @param {number} column - Exit column (candidate index for hex mazes)
+     * @returns {number} X position in pixels
+     * @private
+     */
+    _getExitCenterX(column) {
+        if (this.topology === 'grid') {
+            return this.getCellCenter(column, this.rows - 1).x;
         }
+
+        return this.cellGraph.cellCenter(this.cellGraph.exitCandidates()[column]).x;
     }
 
     /**
-     * Build wall rectangles for collision detection
+     * Create exit zones as sectors of a ring around a circular maze
+     * Zone start/end are fractions of a full turn, clockwise from the
+     * positive x axis like the ring cells.
+     * @param {Object[]} definitions - { score, color, label, column, start, end }
+     * @private
+     */
+    _createRingExitZones(definitions) {
+        const graph = this.cellGraph;
+        const innerRadius = graph.getOuterRadius() + this.wallThickness / 2;
+
+        for (const definition of definitions) {
+            this.exitZones.push({
+                isRing: true,
+                centerX: graph.center.x,
+                centerY: graph.center.y,
+                innerRadius,
+                outerRadius: innerRadius + EXIT_CONFIG.zoneHeight,
+                startAngle: definition.start * 2 * Math.PI,
+                endAngle: definition.end * 2 * Math.PI,
+                score: definition.score,
+                color: definition.color,
+                label: definition.label,
+                column: definition.column
+            });
+        }
+    }
+
+    /**
+     * Order exit scores to match the exit zones
+     * - 'random':  seeded shuffle
+     * - 'hardest': the hardest route to reach pays the most
+     * - 'decoy':   like 'hardest', but one of the next-hardest routes pays
+     *              nothing so a long route is not always worth taking
+     * @param {Object[]} exitScores - Score definitions
+     * @param {string} strategy - Placement strategy
+     * @returns {Object[]} Score definitions in exit zone order
      * @private
      */
-    _buildWallRects() {
+    _placeExitScores(exitScores, strategy) {
+        // Own stream of the maze seed, so placement survives carving changes
+        const rng = this._createRng(RNG_STREAMS.EXITS);
+        const routes = this.analysis ? this.analysis.exits : [];
+
+        if (strategy === 'random' || routes.length !== exitScores.length) {
+            return rng.shuffle(exitScores);
+        }
+
+        // Exit indices from easiest to hardest route, lowest to highest score
+        const byDifficulty = routes
+            .map((route, index) => ({ index, difficulty: route.reachable ? route.difficulty : -1 }))
+            .sort((a, b) => a.difficulty - b.difficulty)
+            .map(route => route.index);
+        const byScore = [...exitScores].sort((a, b) => a.score - b.score);
+
+        if (strategy === 'decoy' && byDifficulty.length > 2) {
+            // Move one of the two runner-up routes to the bottom of the ranking
+            const last = byDifficulty.length - 1;
+            const decoyRank = last - 1 - rng.nextInt(0, Math.min(2, last - 1));
+            const [decoy] = byDifficulty.splice(decoyRank, 1);
+            byDifficulty.unshift(decoy);
+        } else if (strategy !== 'hardest') {
+            console.warn('Unknown exit score strategy:', strategy);
+        }
+
+        const placed = new Array(exitScores.length);
+        byDifficulty.forEach((exitIndex, rank) => {
+            placed[exitIndex] = byScore[rank];
+        });
+        return placed;
+    }
+
+    /**
+     * Build wall colliders for the current wall model
+     * Block walls (wallRatio 1) become rectangles of merged wall cells; thin
+     * walls become segments along the wall lines. Hex and circular mazes
+     * take their segments from the cell graph.
+     * @private
+     */
+    _buildWalls() {
         this.wallRects = [];
+        this.wallSegments = [];
+
+        if (this.topology !== 'grid') {
+            const radius = this.wallThickness / 2;
+            this.wallSegments = this.cellGraph.wallSegments().map(([x1, y1, x2, y2]) =>
+                ({ x1, y1, x2, y2, radius, isSegment: true }));
+        } else if (this.wallRatio >= 1) {
+            this._buildWallRects(() => true);
+        } else {
+            this._buildWallSegments();
+
+            // Solid corridor cells (hand-made levels) stay blocks
+            this._buildWallRects((x, y) => x % 2 === 1 && y % 2 === 1);
+        }
+
+        this.walls = this.wallRects.concat(this.wallSegments);
+    }
+
+    /**
+     * Build wall rectangles for collision detection
+     * Adjacent wall cells are merged greedily: each rectangle takes the
+     * longest run along its first row, then grows down while the rows
+     * below have the same run. Fewer rectangles are cheaper to test, and
+     * a ball rolling along a long wall meets no seams to catch on.
+     * @param {Function} include - (x, y) => whether a wall cell becomes part of a rectangle
+     * @private
+     */
+    _buildWallRects(include) {
+        const taken = Array.from({ length: this.rows }, () => new Array(this.cols).fill(false));
+        const isFree = (x, y) => !taken[y][x] && this.grid[y][x] === CELL_TYPES.WALL && include(x, y);
 
         for (let y = 0; y < this.rows; y++) {
             for (let x = 0; x < this.cols; x++) {
-                if (this.grid[y][x] === CELL_TYPES.WALL) {
-                    this.wallRects.push({
-                        x: x * this.cellSize,
-                        y: y * this.cellSize,
-                        width: this.cellSize,
-                        height: this.cellSize,
-                        isWall: true
-                    });
+                if (!isFree(x, y)) continue;
+
+                let right = x;
+                while (right + 1 < this.cols && isFree(right + 1, y)) right++;
+
+                let bottom = y;
+                while (bottom + 1 < this.rows) {
+                    let full = true;
+                    for (let i = x; i <= right && full; i++) full = isFree(i, bottom + 1);
+                    if (!full) break;
+                    bottom++;
+                }
+
+                for (let j = y; j <= bottom; j++) {
+                    for (let i = x; i <= right; i++) taken[j][i] = true;
                 }
+
+                const first = this.getCellRect(x, y);
+                const last = this.getCellRect(right, bottom);
+                this.wallRects.push({
+                    x: first.x,
+                    y: first.y,
+                    width: last.x + last.width - first.x,
+                    height: last.y + last.height - first.y,
+                    isWall: true
+                });
             }
         }
     }
 
+    /**
+     * Build thin wall segments from runs of wall cells
+     * Horizontal walls run along even rows, vertical walls along even
+     * columns; the posts where they meet belong to both.
+     * @private
+     */
+    _buildWallSegments() {
+        const isWall = (x, y) => this.grid[y][x] === CELL_TYPES.WALL;
+
+        for (let y = 0; y < this.rows; y += 2) {
+            this._forEachWallRun(this.cols, x => isWall(x, y), (start, end) => {
+                // A lone post is left to the vertical pass
+                if (start === end && start % 2 === 0) return;
+                this._addWallSegment(start, y, end, y);
+            });
+        }
+
+        for (let x = 0; x < this.cols; x += 2) {
+            this._forEachWallRun(this.rows, y => isWall(x, y), (start, end) => {
+                this._addWallSegment(x, start, x, end);
+            });
+        }
+    }
+
+    /**
+     * Call back for each run of consecutive wall cells along a line
+     * @param {number} length - Number of cells on the line
+     * @param {Function} isWall - (index) => whether the cell is a wall
+     * @param {Function} callback - (start, end) with inclusive indices
+     * @private
+     */
+    _forEachWallRun(length, isWall, callback) {
+        let start = -1;
+
+        for (let i = 0; i <= length; i++) {
+            const wall = i < length && isWall(i);
+            if (wall && start < 0) {
+                start = i;
+            } else if (!wall && start >= 0) {
+                callback(start, i - 1);
+                start = -1;
+            }
+        }
+    }
+
+    /**
+     * Add a segment covering a straight run of wall cells
+     * The segment has round caps of half the wall thickness, so it is
+     * inset by that much from the ends of the run.
+     * @param {number} x1 - First cell column
+     * @param {number} y1 - First cell row
+     * @param {number} x2 - Last cell column
+     * @param {number} y2 - Last cell row
+     * @private
+     */
+    _addWallSegment(x1, y1, x2, y2) {
+        this.wallSegments.push(this._createWallSegment(x1, y1, x2, y2, y1 === y2));
+    }
+
+    /**
+     * Create a segment covering a straight run of wall cells
+     * @param {number} x1 - First cell column
+     * @param {number} y1 - First cell row
+     * @param {number} x2 - Last cell column
+     * @param {number} y2 - Last cell row
+     * @param {boolean} horizontal - Whether the run is along a row
+     * @returns {Object} Segment { x1, y1, x2, y2, radius, isSegment }
+     * @private
+     */
+    _createWallSegment(x1, y1, x2, y2, horizontal) {
+        const half = this.wallThickness / 2;
+        const first = this.getCellRect(x1, y1);
+        const last = this.getCellRect(x2, y2);
+
+        return {
+            x1: horizontal ? first.x + half : first.x + first.width / 2,
+            y1: horizontal ? first.y + first.height / 2 : first.y + half,
+            x2: horizontal ? last.x + last.width - half : last.x + last.width / 2,
+            y2: horizontal ? last.y + last.height / 2 : last.y + last.height - half,
+            radius: half,
+            isSegment: true
+        };
+    }
+
+    /**
+     * Create a collider that closes a single grid cell
+     * Used for doors and gates: a block with block walls, otherwise a
+     * segment along the wall line the cell lies on.
+     * @param {number} x - Grid column
+     * @param {number} y - Grid row
+     * @returns {Object} Wall rectangle or segment
+     * @private
+     */
+    _createCellCollider(x, y) {
+        if (this.wallRatio >= 1 || (x % 2 === 1 && y % 2 === 1)) {
+            return { ...this.getCellRect(x, y), isWall: true };
+        }
+
+        return this._createWallSegment(x, y, x, y, y % 2 === 0);
+    }
+
     /**
      * Get spawn positions for balls at the entry
+     * The first ball starts at the entry, the others in the nearest free
+     * cells behind it, so no two balls overlap. Balls that find no free
+     * cell share the entry and are pushed apart by the physics.
      * @param {number} ballCount - Number of balls to spawn
      * @returns {Object[]} Array of spawn positions
      */
     getSpawnPositions(ballCount) {
-        const positions = [];
-        const spacing = PHYSICS_CONFIG.ballRadius * 2.2;
-
-        // Find entry column
-        const entryCol = Math.floor(this.cols / 2);
-        const entryPixelX = (entryCol + 0.5) * this.cellSize;
-        const entryPixelY = this.cellSize * 1.5;
-
-        for (let i = 0; i < ballCount; i++) {
-            const offset = (i - (ballCount - 1) / 2) * spacing;
-            positions.push({
-                x: entryPixelX + offset * 0.3, // Tighter grouping
-                y: entryPixelY + i * (PHYSICS_CONFIG.ballRadius * 0.5)
-            });
+        const positions = [{ x: this.entryX, y: this.entryY }];
+        const spacing = this.getDimensions().ballRadius * 2.2;
+
+        for (const center of this._findSpawnCenters()) {
+            if (positions.length >= ballCount) break;
+            if (positions.some(pos => Math.hypot(pos.x - center.x, pos.y - center.y) < spacing)) continue;
+            positions.push(center);
+        }
+
+        while (positions.length < ballCount) {
+            positions.push({ x: this.entryX, y: this.entryY });
+        }
+
+        return positions.slice(0, ballCount);
+    }
+
+    /**
+     * List the centers of free cells by their distance from the entry
+     * Cells with holes, exits, floor tiles or maze objects are left out.
+     * @returns {Object[]} Cell centers { x, y }, nearest first
+     * @private
+     */
+    _findSpawnCenters() {
+        if (this.topology !== 'grid') {
+            const graph = this.cellGraph;
+            const blocked = new Set([...this.holeCells, ...this.exitCells]);
+            const order = [graph.entry];
+            const seen = new Set(order);
+            for (let head = 0; head < order.length; head++) {
+                for (const next of graph.neighbors(order[head])) {
+                    if (seen.has(next) || !graph.isLinked(order[head], next)) continue;
+                    seen.add(next);
+                    order.push(next);
+                }
+            }
+            return order.filter(id => !blocked.has(id)).map(id => graph.cellCenter(id));
         }
 
-        return positions;
+        const distance = window.MazeAnalyzer.findDistances(this.grid, this.entryCell);
+        const cells = [];
+        for (let y = 1; y < this.rows - 1; y += 2) {
+            for (let x = 1; x < this.cols - 1; x += 2) {
+                if (this.grid[y][x] !== CELL_TYPES.PATH || distance[y * this.cols + x] < 0) continue;
+                if (this.objectCells.some(object => object.x === x && object.y === y)) continue;
+                cells.push({ x, y, steps: distance[y * this.cols + x] });
+            }
+        }
+
+        return cells
+            .sort((a, b) => a.steps - b.steps)
+            .map(cell => this.getCellCenter(cell.x, cell.y));
     }
 
     /**
@@ -438,6 +2047,135 @@ class MazeGenerator {
         return this.wallRects;
     }
 
+    /**
+     * Get thin wall segments for collision
+     * @returns {Object[]} Segments { x1, y1, x2, y2, radius }
+     */
+    getWallSegments() {
+        return this.wallSegments;
+    }
+
+    /**
+     * Get all wall colliders
+     * @returns {Object[]} Wall rectangles and segments
+     */
+    getWalls() {
+        return this.walls;
+    }
+
+    /**
+     * Get holes the ball can fall into
+     * @returns {Object[]} Holes { x, y, radius }
+     */
+    getHoles() {
+        return this.holes;
+    }
+
+    /**
+     * Get maze objects (keys, doors, switches, gates, gems, bumpers,
+     * kickers, portals) in pixels
+     * @returns {Object[]} Objects { type, channel, cellX, cellY, x, y,
+     *     radius, color, value, open, wall }; bumpers and kickers
+     *     { type, cellX, cellY, side, x, y, radius, color, restitution,
+     *     score, collider }; portals { type, channel, cellX, cellY, x, y,
+     *     radius, color, rotation }
+     */
+    getObjects() {
+        return this.objects;
+    }
+
+    /**
+     * Get maze objects as grid cells, as stored in level data
+     * @returns {Object[]} Objects { type, channel, x, y, open? }, gems
+     *     { type, x, y, value }, bumpers and kickers { type, x, y, side },
+     *     portals { type, channel, x, y, rotation? }
+     */
+    getObjectCells() {
+        return this.objectCells;
+    }
+
+    /**
+     * Get the portals among the maze objects
+     * @returns {Object[]} Portal cells { type, channel, x, y, rotation? }
+     */
+    getPortalCells() {
+        return this.objectCells.filter(object => object.type === MAZE_OBJECT_TYPES.PORTAL);
+    }
+
+    /**
+     * Get one-way gates, boost pads and conveyors in pixels
+     * @returns {Object[]} Tiles { type, cellX, cellY, x, y, width, height,
+     *     direction, dx, dy }
+     */
+    getTiles() {
+        return this.tiles;
+    }
+
+    /**
+     * Get surface material cells in pixels
+     * @returns {Object[]} Cells { material, cellX, cellY, x, y, width, height }
+     */
+    getSurfaces() {
+        return this.surfaces;
+    }
+
+    /**
+     * Get the surface material of every grid cell, as stored in level data
+     * @returns {Array<Array<string|null>>} Material name per cell, null for the default floor
+     */
+    getSurfaceGrid() {
+        return this.surfaceGrid;
+    }
+
+    /**
+     * Get floor tile directions as grid cells, as stored in level data
+     * @returns {Object[]} Tiles { x, y, direction }
+     */
+    getTileCells() {
+        return this.tileCells;
+    }
+
+    /**
+     * Get the pixel rectangle of a grid cell
+     * @param {number} x - Grid column
+     * @param {number} y - Grid row
+     * @returns {Object} { x, y, width, height }
+     */
+    getCellRect(x, y) {
+        return {
+            x: this.colOffsets[x],
+            y: this.rowOffsets[y],
+            width: this.colOffsets[x + 1] - this.colOffsets[x],
+            height: this.rowOffsets[y + 1] - this.rowOffsets[y]
+        };
+    }
+
+    /**
+     * Get the pixel center of a grid cell
+     * @param {number} x - Grid column
+     * @param {number} y - Grid row
+     * @returns {Object} { x, y }
+     */
+    getCellCenter(x, y) {
+        return {
+            x: (this.colOffsets[x] + this.colOffsets[x + 1]) / 2,
+            y: (this.rowOffsets[y] + this.rowOffsets[y + 1]) / 2
+        };
+    }
+
+    /**
+     * Get the grid cell at a pixel position
+     * @param {number} px - X position in pixels
+     * @param {number} py - Y position in pixels
+     * @returns {Object|null} Cell { x, y } or null outside the maze
+     */
+    getCellAt(px, py) {
+        const x = this._findTrack(this.colOffsets, px);
+        const y = this._findTrack(this.rowOffsets, py);
+
+        return x < 0 || y < 0 ? null : { x, y };
+    }
+
     /**
      * Get exit zones
      * @returns {Object[]} Exit zones
@@ -458,14 +2196,108 @@ class MazeGenerator {
             width: this.width,
             height: this.height,
             cellSize: this.cellSize,
+            wallThickness: this.wallThickness,
+            topology: this.topology,
+            exitZoneHeight: this.topology === 'theta' ? 0 : EXIT_CONFIG.zoneHeight,
             cols: this.cols,
             rows: this.rows,
             ballRadius: ballRadius,
+            seed: this.seed,
+            braidFactor: this.braidFactor,
             marginLeft: this.marginLeft || 20,
-            marginTop: this.marginTop || 20
+            marginTop: this.marginTop || 20,
+            marginRight: this.marginRight || 20,
+            marginBottom: this.marginBottom || 20
         };
     }
 
+    /**
+     * Get routes, dead ends and difficulty of the current maze
+     * @returns {Object|null} MazeAnalyzer result
+     */
+    getAnalysis() {
+        return this.analysis;
+    }
+
+    /**
+     * Get the seed of the current maze
+     * @returns {number} Maze seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the name of the algorithm that carved the current maze
+     * @returns {string} Key into MAZE_ALGORITHMS
+     */
+    getAlgorithm() {
+        return this.algorithm;
+    }
+
+    /**
+     * Get a compact share code for the current maze
+     * Format: version.level.seed.cols.rows.algorithm[.topology], numbers in
+     * base 36, the algorithm and topology as short codes. The topology is
+     * left out for square grids.
+     * @returns {string|null} Share code, or null for loaded levels
+     */
+    getShareCode() {
+        if (this.isCustom) return null;
+
+        const fields = [SHARE_CODE_VERSION, this.level, this.seed, this.cols, this.rows]
+            .map(value => value.toString(36))
+            .concat(MAZE_ALGORITHMS[this.algorithm].code);
+
+        if (this.topology !== 'grid') {
+            fields.push(MAZE_TOPOLOGIES[this.topology].code);
+        }
+
+        return fields.join('.');
+    }
+
+    /**
+     * Check whether a share code comes from an older version of the game
+     * @param {string} code - Share code
+     * @returns {boolean} Whether its version is older than SHARE_CODE_VERSION
+     */
+    isOutdatedShareCode(code) {
+        if (typeof code !== 'string') return false;
+
+        const version = parseInt(code.trim().toLowerCase().split('.')[0], 36);
+        return version >= 1 && version < SHARE_CODE_VERSION;
+    }
+
+    /**
+     * Parse a share code produced by getShareCode()
+     * @param {string} code - Share code
+     * @returns {Object|null} { level, seed, cols, rows, algorithm, topology } or null if invalid
+     */
+    parseShareCode(code) {
+        if (typeof code !== 'string') return null;
+
+        const fields = code.trim().toLowerCase().split('.');
+        if (fields.length < 6 || fields.some(field => !/^[0-9a-z]+$/.test(field))) {
+            return null;
+        }
+
+        const [version, level, seed, cols, rows] = fields.slice(0, 5).map(field => parseInt(field, 36));
+        if (version !== SHARE_CODE_VERSION || level < 1 || seed < 1 || cols < 1 || rows < 1) {
+            return null;
+        }
+
+        const algorithm = Object.keys(MAZE_ALGORITHMS)
+            .find(name => MAZE_ALGORITHMS[name].code === fields[5]);
+        if (!algorithm) return null;
+
+        const topologyCode = fields[6] || MAZE_TOPOLOGIES.grid.code;
+        const topology = Object.keys(MAZE_TOPOLOGIES)
+            .find(name => MAZE_TOPOLOGIES[name].code === topologyCode);
+        if (!topology) return null;
+
+        return { level, seed, cols, rows, algorithm, topology };
+    }
+
     /**
      * Get grid for rendering
      * @returns {number[][]} 2D grid
@@ -481,14 +2313,13 @@ class MazeGenerator {
      * @returns {boolean} Whether position is in a wall
      */
     isWall(x, y) {
-        const col = Math.floor(x / this.cellSize);
-        const row = Math.floor(y / this.cellSize);
+        const cell = this.getCellAt(x, y);
 
-        if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) {
+        if (!cell) {
             return true; // Outside bounds is wall
         }
 
-        return this.grid[row][col] === CELL_TYPES.WALL;
+        return this.grid[cell.y][cell.x] === CELL_TYPES.WALL;
     }
 }
 
@@ -498,3 +2329,6 @@ const mazeGenerator = new MazeGenerator();
 // Export for use in other modules
 window.MazeGenerator = mazeGenerator;
 window.CELL_TYPES = CELL_TYPES;
+window.MAZE_OBJECT_TYPES = MAZE_OBJECT_TYPES;
+window.TILE_CELL_TYPES = TILE_CELL_TYPES;
+window.KICKER_CORNERS = KICKER_CORNERS;
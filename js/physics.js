@@ -5,10 +5,25 @@
  * Multi-ball physics simulation with gravity, friction, and collision.
  * 
  * Features:
- * - Multiple simultaneous balls
+ * - Fixed timestep with substeps, so the ball moves alike at any frame rate
+ * - Ball positions interpolated between physics steps for drawing
+ * - Multiple simultaneous balls that collide with each other
+ * - Ball materials (steel, rubber, glass, wood) with their own mass,
+ *   bounce, friction, top speed and gravity response; glass shatters
+ * - Rolling balls with spin: sliding and rolling friction on the board,
+ *   spin traded with walls on contact
  * - Shared gravity from IMU/controls
- * - Wall collision with bounce
+ * - Wall collision with bounce (block rectangles and thin segments)
+ * - Swept collision with time of impact, so fast balls cannot pass walls
+ * - Spatial grid broadphase, so a ball only tests the walls around it
  * - Exit zone detection and scoring
+ * - Holes that swallow the ball and send it back to its spawn point
+ * - Dynamic walls for doors (opened by keys) and gates (toggled by switches)
+ * - Floor tiles: one-way gates, boost pads and conveyors
+ * - Gems collected by rolling over them, adding to the score
+ * - Bumpers and kickers with their own restitution, scoring on every hit
+ * - Surface materials (ice, mud, sand) with their own friction and top speed
+ * - Paired portals that keep the ball's speed, with a cooldown against bouncing
  * - Ball trails for visual effect
  * 
  * @module physics
@@ -26,23 +41,76 @@ class Ball {
      * @param {number} y - Initial Y position
      * @param {number} index - Ball index for color assignment
      * @param {number} radius - Ball radius
+     * @param {string} [material] - Key of BALL_CONFIG.materials
      */
-    constructor(x = 0, y = 0, index = 0, radius = null) {
+    constructor(x = 0, y = 0, index = 0, radius = null, material = null) {
         /** @type {number} X position */
         this.x = x;
 
         /** @type {number} Y position */
         this.y = y;
 
-        /** @type {number} X velocity */
+        /** @type {number} X position at the start of the latest physics step */
+        this.lastX = x;
+
+        /** @type {number} Y position at the start of the latest physics step */
+        this.lastY = y;
+
+        /** @type {number} X position to draw, between lastX and x */
+        this.renderX = x;
+
+        /** @type {number} Y position to draw, between lastY and y */
+        this.renderY = y;
+
+        /** @type {number} X velocity in pixels per second */
         this.vx = 0;
 
-        /** @type {number} Y velocity */
+        /** @type {number} Y velocity in pixels per second */
         this.vy = 0;
 
         /** @type {number} Ball radius */
         this.radius = radius || PHYSICS_CONFIG.ballRadius;
 
+        /** @type {string} Key of the ball's material in BALL_CONFIG.materials */
+        this.material = BALL_CONFIG.defaultMaterial;
+
+        /** @type {number} Mass for momentum exchange between balls */
+        this.mass = 1;
+
+        /** @type {number} Share of its speed into a wall the ball bounces back with (0-1) */
+        this.restitution = 0.4;
+
+        /** @type {number} Friction relative to the floor's */
+        this.friction = 1;
+
+        /** @type {number} Top speed relative to the floor's */
+        this.speedScale = 1;
+
+        /** @type {number} Response to gravity and tilt */
+        this.gravityScale = 1;
+
+        /** @type {number} Wall impact speed that shatters the ball (0 for never) */
+        this.breakSpeed = 0;
+
+        /** @type {number} Moment of inertia over mass times radius squared */
+        this.inertiaFactor = PHYSICS_CONFIG.inertiaFactor;
+
+        /** @type {number} Angular velocity about the X axis in radians per second */
+        this.spinX = 0;
+
+        /** @type {number} Angular velocity about the Y axis in radians per second */
+        this.spinY = 0;
+
+        /** @type {number} Angular velocity about the vertical axis in radians per second */
+        this.spinZ = 0;
+
+        /** @type {Object[]} Surface spots as unit vectors { x, y, z }, z into the board */
+        this.spots = [
+            { x: 1, y: 0, z: 0 }, { x: -1, y: 0, z: 0 },
+            { x: 0, y: 1, z: 0 }, { x: 0, y: -1, z: 0 },
+            { x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: -1 }
+        ];
+
         /** @type {number} Ball index for color */
         this.index = index;
 
@@ -57,6 +125,54 @@ class Ball {
 
         /** @type {Object[]} Trail positions */
         this.trail = [];
+
+        /** @type {number} X position the ball respawns at */
+        this.spawnX = x;
+
+        /** @type {number} Y position the ball respawns at */
+        this.spawnY = y;
+
+        /** @type {Object|null} Hole the ball is falling into */
+        this.fallHole = null;
+
+        /** @type {number} Seconds of the fall-in animation played so far */
+        this.fallTime = 0;
+
+        /** @type {Object|null} Floor tile under the ball */
+        this.tile = null;
+
+        /** @type {number} Seconds until the ball can use a portal again */
+        this.portalCooldown = 0;
+
+        /** @type {Object|null} Portal the ball came out of, ignored until it rolls clear */
+        this.portalLock = null;
+
+        /** @type {boolean} Whether the next trail point follows a portal jump */
+        this.trailBreak = false;
+
+        this.setMaterial(material || BALL_CONFIG.defaultMaterial);
+    }
+
+    /**
+     * Take on the physics profile of a material
+     * @param {string} material - Key of BALL_CONFIG.materials
+     * @returns {boolean} Whether the material exists
+     */
+    setMaterial(material) {
+        const profile = BALL_CONFIG.materials[material];
+        if (!profile) {
+            console.warn('Unknown ball material:', material);
+            return false;
+        }
+
+        this.material = material;
+        this.mass = profile.mass;
+        this.restitution = profile.restitution;
+        this.friction = profile.friction;
+        this.speedScale = profile.speedScale;
+        this.gravityScale = profile.gravityScale;
+        this.breakSpeed = profile.breakSpeed;
+        return true;
     }
 
     /**
@@ -67,12 +183,41 @@ class Ball {
     reset(x, y) {
         this.x = x;
         this.y = y;
+        this.lastX = x;
+        this.lastY = y;
+        this.renderX = x;
+        this.renderY = y;
         this.vx = 0;
         this.vy = 0;
+        this.spinX = 0;
+        this.spinY = 0;
+        this.spinZ = 0;
         this.active = true;
         this.exited = false;
         this.score = 0;
         this.trail = [];
+        this.fallHole = null;
+        this.fallTime = 0;
+        this.tile = null;
+        this.portalCooldown = 0;
+        this.portalLock = null;
+        this.trailBreak = false;
+    }
+
+    /**
+     * Check whether the ball is falling into a hole
+     * @returns {boolean} Whether the fall-in animation is playing
+     */
+    isFalling() {
+        return this.fallHole !== null;
+    }
+
+    /**
+     * Get how far the fall-in animation has played
+     * @returns {number} 0 (on the surface) to 1 (gone)
+     */
+    getFallProgress() {
+        return this.fallHole ? Math.min(1, this.fallTime / HAZARD_CONFIG.fallDuration) : 0;
     }
 
     /**
@@ -84,10 +229,50 @@ class Ball {
     }
 
     /**
-     * Update trail with current position
+     * Get the moment of inertia about any axis through the center
+     * @returns {number} Inertia (2/5 m r^2 for a solid ball)
+     */
+    getMomentOfInertia() {
+        return this.inertiaFactor * this.mass * this.radius * this.radius;
+    }
+
+    /**
+     * Turn the surface spots by the angular velocity over one step
+     * @param {number} dt - Step length in seconds
+     */
+    rotate(dt) {
+        const rate = Math.hypot(this.spinX, this.spinY, this.spinZ);
+        if (rate === 0) return;
+
+        // Rodrigues' rotation about the spin axis
+        const ax = this.spinX / rate;
+        const ay = this.spinY / rate;
+        const az = this.spinZ / rate;
+        const cos = Math.cos(rate * dt);
+        const sin = Math.sin(rate * dt);
+
+        for (const spot of this.spots) {
+            const along = (ax * spot.x + ay * spot.y + az * spot.z) * (1 - cos);
+            const x = spot.x * cos + (ay * spot.z - az * spot.y) * sin + ax * along;
+            const y = spot.y * cos + (az * spot.x - ax * spot.z) * sin + ay * along;
+            const z = spot.z * cos + (ax * spot.y - ay * spot.x) * sin + az * along;
+
+            // Renormalize against rounding drift
+            const length = Math.hypot(x, y, z);
+            spot.x = x / length;
+            spot.y = y / length;
+            spot.z = z / length;
+        }
+    }
+
+    /**
+     * Update trail with current position, once per physics step
+     * The first point after a portal jump is marked { jump: true }, so the
+     * trail is not drawn across the board.
      */
     updateTrail() {
-        this.trail.unshift({ x: this.x, y: this.y });
+        this.trail.unshift(this.trailBreak ? { x: this.x, y: this.y, jump: true } : { x: this.x, y: this.y });
+        this.trailBreak = false;
 
         // Limit trail length
         while (this.trail.length > VISUAL_CONFIG.trailLength) {
@@ -104,6 +289,89 @@ class Ball {
     }
 }
 
+/**
+ * WallGrid class
+ * Broadphase for wall collisions: a uniform grid of buckets over the maze,
+ * each listing the walls whose bounds overlap it
+ */
+class WallGrid {
+    /**
+     * Create a new WallGrid
+     * @param {Object[]} walls - Wall rectangles and segments
+     * @param {number} width - Covered width in pixels
+     * @param {number} height - Covered height in pixels
+     * @param {number} cellSize - Bucket side in pixels
+     */
+    constructor(walls, width, height, cellSize) {
+        /** @type {number} Bucket side in pixels */
+        this.cellSize = Math.max(1, cellSize);
+
+        /** @type {number} Bucket columns */
+        this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+
+        /** @type {number} Bucket rows */
+        this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+
+        /** @type {Object[][]} Walls per bucket, row by row */
+        this.buckets = Array.from({ length: this.cols * this.rows }, () => []);
+
+        for (const wall of walls) {
+            this._insert(wall);
+        }
+    }
+
+    /**
+     * Add a wall to every bucket its bounds overlap
+     * @param {Object} wall - Wall rectangle or segment
+     * @private
+     */
+    _insert(wall) {
+        const bounds = wall.isSegment
+            ? {
+                left: Math.min(wall.x1, wall.x2) - wall.radius,
+                top: Math.min(wall.y1, wall.y2) - wall.radius,
+                right: Math.max(wall.x1, wall.x2) + wall.radius,
+                bottom: Math.max(wall.y1, wall.y2) + wall.radius
+            }
+            : { left: wall.x, top: wall.y, right: wall.x + wall.width, bottom: wall.y + wall.height };
+
+        this._forEachBucket(bounds, bucket => bucket.push(wall));
+    }
+
+    /**
+     * Get the walls that may touch an area
+     * @param {Object} bounds - Area { left, top, right, bottom } in pixels
+     * @returns {Set<Object>} Walls from the buckets the area overlaps
+     */
+    query(bounds) {
+        const found = new Set();
+        this._forEachBucket(bounds, bucket => {
+            for (const wall of bucket) found.add(wall);
+        });
+        return found;
+    }
+
+    /**
+     * Call back for each bucket an area overlaps
+     * Parts of the area outside the grid are ignored.
+     * @param {Object} bounds - Area { left, top, right, bottom } in pixels
+     * @param {Function} callback - (bucket) for each overlapped bucket
+     * @private
+     */
+    _forEachBucket(bounds, callback) {
+        const left = Math.max(0, Math.floor(bounds.left / this.cellSize));
+        const top = Math.max(0, Math.floor(bounds.top / this.cellSize));
+        const right = Math.min(this.cols - 1, Math.floor(bounds.right / this.cellSize));
+        const bottom = Math.min(this.rows - 1, Math.floor(bounds.bottom / this.cellSize));
+
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                callback(this.buckets[y * this.cols + x]);
+            }
+        }
+    }
+}
+
 /**
  * PhysicsEngine class
  * Manages multiple balls and physics simulation
@@ -122,15 +390,42 @@ class PhysicsEngine {
         /** @type {boolean} Whether physics is paused */
         this.paused = false;
 
+        /** @type {string} Material of the balls of this level */
+        this.ballMaterial = BALL_CONFIG.defaultMaterial;
+
+        /** @type {number} Frame time in seconds not yet simulated */
+        this.accumulator = 0;
+
         /** @type {number} Total score for current level */
         this.score = 0;
 
-        /** @type {Object[]} Wall rectangles for collision */
+        /** @type {Object[]} Wall rectangles and segments for collision */
         this.walls = [];
 
+        /** @type {WallGrid|null} Broadphase over the static walls */
+        this.wallGrid = null;
+
         /** @type {Object[]} Exit zones */
         this.exitZones = [];
 
+        /** @type {Object[]} Holes { x, y, radius } */
+        this.holes = [];
+
+        /** @type {Object[]} Walls that can be enabled and disabled at runtime */
+        this.dynamicWalls = [];
+
+        /** @type {Object[]} Maze objects with their runtime state */
+        this.objects = [];
+
+        /** @type {Set<number>} Channels of the keys collected this level */
+        this.heldKeys = new Set();
+
+        /** @type {Object[]} One-way gates, boost pads and conveyors */
+        this.tiles = [];
+
+        /** @type {Object[]} Surface material cells */
+        this.surfaces = [];
+
         /** @type {number} Maze width */
         this.mazeWidth = 0;
 
@@ -142,12 +437,22 @@ class PhysicsEngine {
 
         /** @type {Function} Callback for wall hit */
         this.onWallHit = null;
+
+        /** @type {Function} Callback for a ball falling into a hole */
+        this.onBallFall = null;
+
+        /** @type {Function} Callback for a collected gem */
+        this.onGemCollect = null;
+
+        /** @type {Function} Callback for a bumper or kicker hit */
+        this.onBumperHit = null;
     }
 
     /**
      * Initialize physics for a new level
      * @param {Object[]} spawnPositions - Ball spawn positions
-     * @param {Object[]} walls - Wall rectangles
+     * @param {Object[]} walls - Wall rectangles { x, y, width, height } and
+     *     segments { x1, y1, x2, y2, radius, isSegment }
      * @param {Object[]} exitZones - Exit zones
      * @param {number} mazeWidth - Maze width
      * @param {number} mazeHeight - Maze height
@@ -156,18 +461,119 @@ class PhysicsEngine {
     init(spawnPositions, walls, exitZones, mazeWidth, mazeHeight, ballRadius = null) {
         this.balls = [];
         this.score = 0;
+        this.accumulator = 0;
         this.walls = walls;
         this.exitZones = exitZones;
+        this.holes = [];
+        this.dynamicWalls = [];
+        this.objects = [];
+        this.heldKeys = new Set();
+        this.tiles = [];
+        this.surfaces = [];
         this.mazeWidth = mazeWidth;
         this.mazeHeight = mazeHeight;
         this.ballRadius = ballRadius || PHYSICS_CONFIG.ballRadius;
+        this.wallGrid = new WallGrid(walls, mazeWidth, mazeHeight,
+            this.ballRadius * PHYSICS_CONFIG.wallGridCellSize);
 
         // Create balls at spawn positions
         spawnPositions.forEach((pos, index) => {
-            this.balls.push(new Ball(pos.x, pos.y, index, this.ballRadius));
+            this.balls.push(new Ball(pos.x, pos.y, index, this.ballRadius, this.ballMaterial));
         });
     }
 
+    /**
+     * Set the material of all balls
+     * Balls created by later init() calls keep it too.
+     * @param {string} material - Key of BALL_CONFIG.materials
+     * @returns {boolean} Whether the material exists
+     */
+    setBallMaterial(material) {
+        if (!BALL_CONFIG.materials[material]) {
+            console.warn('Unknown ball material:', material);
+            return false;
+        }
+
+        this.ballMaterial = material;
+        this.balls.forEach(ball => ball.setMaterial(material));
+        return true;
+    }
+
+    /**
+     * Set the holes balls can fall into
+     * Call after init(), which clears them.
+     * @param {Object[]} holes - Holes { x, y, radius }
+     */
+    setHoles(holes) {
+        this.holes = holes || [];
+    }
+
+    /**
+     * Set the maze objects for this level
+     * Doors and gates get a dynamic wall each. Call after init().
+     * @param {Object[]} objects - Objects from MazeGenerator.getObjects()
+     */
+    setObjects(objects) {
+        this.dynamicWalls = [];
+        this.heldKeys = new Set();
+
+        // Runtime copies, so a replayed level starts with closed doors again
+        this.objects = (objects || []).map(object => {
+            const copy = { ...object, collected: false, pressed: false, flash: 0, cooldown: 0 };
+            if (object.wall) {
+                copy.wall = this.addDynamicWall(object.wall, !copy.open);
+            }
+            return copy;
+        });
+    }
+
+    /**
+     * Set the floor tiles for this level
+     * Call after init(), which clears them.
+     * @param {Object[]} tiles - Tiles from MazeGenerator.getTiles()
+     */
+    setTiles(tiles) {
+        this.tiles = tiles || [];
+    }
+
+    /**
+     * Set the surface materials for this level
+     * Call after init(), which clears them.
+     * @param {Object[]} surfaces - Cells from MazeGenerator.getSurfaces()
+     */
+    setSurfaces(surfaces) {
+        this.surfaces = surfaces || [];
+    }
+
+    /**
+     * Add a wall that can be switched on and off
+     * @param {Object} wall - Wall rectangle or segment
+     * @param {boolean} [enabled] - Whether the wall starts solid
+     * @returns {Object} Dynamic wall to pass to setWallEnabled()
+     */
+    addDynamicWall(wall, enabled = true) {
+        const dynamicWall = { ...wall, enabled };
+        this.dynamicWalls.push(dynamicWall);
+        return dynamicWall;
+    }
+
+    /**
+     * Enable or disable a dynamic wall
+     * @param {Object} wall - Wall returned by addDynamicWall()
+     * @param {boolean} enabled - Whether the ball collides with it
+     */
+    setWallEnabled(wall, enabled) {
+        wall.enabled = enabled;
+    }
+
+    /**
+     * Get maze objects with their runtime state
+     * @returns {Object[]} Objects (see setObjects)
+     */
+    getObjects() {
+        return this.objects;
+    }
+
     /**
      * Set gravity from controls
      * @param {Object} gravity - Gravity vector { x, y }
@@ -178,37 +584,83 @@ class PhysicsEngine {
     }
 
     /**
-     * Update physics simulation for one frame
+     * Advance the simulation by one frame
+     * The frame time is simulated in fixed steps of PHYSICS_CONFIG.timeStep,
+     * so the ball moves alike at any frame rate. Time left over carries to
+     * the next frame and places the drawn balls between their last two
+     * physics states. Time past PHYSICS_CONFIG.maxSubsteps is dropped, so a
+     * slow device runs the game slower instead of falling further behind.
+     * @param {number} deltaTime - Seconds since the last frame
+     * @returns {number} Seconds actually simulated
      */
-    update() {
-        if (this.paused) return;
+    update(deltaTime) {
+        if (this.paused) return 0;
+
+        const step = PHYSICS_CONFIG.timeStep;
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= step && steps < PHYSICS_CONFIG.maxSubsteps) {
+            this._step(step);
+            this.accumulator -= step;
+            steps++;
+        }
 
-        // Constant downward gravity - the ball naturally falls
-        const baseGravityY = 0.12;
+        if (this.accumulator >= step) {
+            this.accumulator = 0;
+        }
+
+        // Interpolate the drawn positions
+        const alpha = this.accumulator / step;
+        for (const ball of this.balls) {
+            ball.renderX = ball.lastX + (ball.x - ball.lastX) * alpha;
+            ball.renderY = ball.lastY + (ball.y - ball.lastY) * alpha;
+        }
+
+        return steps * step;
+    }
 
+    /**
+     * Run one fixed physics step
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    _step(dt) {
         for (const ball of this.balls) {
             if (!ball.active) continue;
 
+            ball.lastX = ball.x;
+            ball.lastY = ball.y;
+
+            if (ball.isFalling()) {
+                this._updateFall(ball, dt);
+                continue;
+            }
+
             // Store previous position
             const prevX = ball.x;
             const prevY = ball.y;
 
             // Apply base gravity (constant downward pull)
-            ball.vy += baseGravityY;
+            ball.vy += PHYSICS_CONFIG.gravity * ball.gravityScale * dt;
 
             // Apply player controls (tilt/keyboard) on top of gravity
             // Pressing up works AGAINST gravity, down accelerates with gravity
-            ball.vx += this.gravity.x * PHYSICS_CONFIG.gravityMultiplier;
-            ball.vy += this.gravity.y * PHYSICS_CONFIG.gravityMultiplier;
+            ball.vx += this.gravity.x * PHYSICS_CONFIG.gravityMultiplier * ball.gravityScale * dt;
+            ball.vy += this.gravity.y * PHYSICS_CONFIG.gravityMultiplier * ball.gravityScale * dt;
 
-            // Apply friction
-            ball.vx *= PHYSICS_CONFIG.friction;
-            ball.vy *= PHYSICS_CONFIG.friction;
+            // Floor tiles: boost pads kick the ball, conveyors carry it
+            const conveyor = this._applyTiles(ball);
+
+            // Apply friction of the surface under the ball
+            const surface = this._getSurface(ball);
+            this._applyBoardFriction(ball, surface, dt);
 
             // Clamp velocity
             const speed = ball.getSpeed();
-            if (speed > PHYSICS_CONFIG.maxVelocity) {
-                const scale = PHYSICS_CONFIG.maxVelocity / speed;
+            const maxVelocity = surface.maxVelocity * ball.speedScale;
+            if (speed > maxVelocity) {
+                const scale = maxVelocity / speed;
                 ball.vx *= scale;
                 ball.vy *= scale;
             }
@@ -217,74 +669,643 @@ class PhysicsEngine {
             if (Math.abs(ball.vx) < PHYSICS_CONFIG.velocityThreshold) ball.vx = 0;
             if (Math.abs(ball.vy) < PHYSICS_CONFIG.velocityThreshold) ball.vy = 0;
 
-            // Update position
-            ball.x += ball.vx;
-            ball.y += ball.vy;
+            // Update position, stopping at walls on the way
+            let dx = ball.vx * dt;
+            let dy = ball.vy * dt;
+            if (conveyor) {
+                dx += conveyor.dx * TILE_CONFIG.conveyorSpeed * dt;
+                dy += conveyor.dy * TILE_CONFIG.conveyorSpeed * dt;
+            }
+            this._moveBall(ball, dx, dy);
+
+            // Push the ball out of walls it still overlaps, e.g. a closing gate
+            this._handleWallCollisions(ball);
 
-            // Handle wall collisions
-            this._handleWallCollisions(ball, prevX, prevY);
+            // Bumpers and kickers
+            this._handleBumpers(ball);
+
+            // One-way gates stop balls rolling back through them
+            this._handleOneWayGates(ball, prevX, prevY);
 
             // Handle boundary collisions
             this._handleBoundaries(ball);
 
+            // Check holes
+            this._checkHoles(ball);
+
+            // Pick up keys and gems
+            this._checkKeys(ball);
+            this._checkGems(ball);
+
+            // Portals send the ball to their partner
+            this._checkPortals(ball, dt);
+
             // Check exit zones
             this._checkExitZones(ball);
 
-            // Update trail
+            // Update trail and turn the ball
             ball.updateTrail();
+            ball.rotate(dt);
         }
+
+        this._handleBallCollisions();
+        this._updateSwitches();
+        this._updateBumpers(dt);
+    }
+
+    /**
+     * Apply the floor tile under a ball
+     * Boost pads add their impulse once, when the ball rolls onto them.
+     * @param {Ball} ball - Ball to update
+     * @returns {Object|null} Conveyor carrying the ball this step
+     * @private
+     */
+    _applyTiles(ball) {
+        const tile = this.tiles.find(t => ball.x >= t.x && ball.x < t.x + t.width
+            && ball.y >= t.y && ball.y < t.y + t.height) || null;
+        const entered = tile !== ball.tile;
+        ball.tile = tile;
+
+        if (!tile) return null;
+
+        if (tile.type === CELL_TYPES.BOOST && entered) {
+            ball.vx += tile.dx * TILE_CONFIG.boostImpulse;
+            ball.vy += tile.dy * TILE_CONFIG.boostImpulse;
+        }
+
+        return tile.type === CELL_TYPES.CONVEYOR ? tile : null;
+    }
+
+    /**
+     * Apply the board's friction to a ball
+     * Where the ball's surface slips over the board, after a bounce, a
+     * kick or on ice, sliding friction slows the ball and spins it up
+     * until it rolls. Rolling resistance slows it whether it slips or not.
+     * Both scale with the ball's material friction.
+     * @param {Ball} ball - Ball to update
+     * @param {Object} surface - Material under the ball (see _getSurface)
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    _applyBoardFriction(ball, surface, dt) {
+        const r = ball.radius;
+        const inertia = ball.getMomentOfInertia();
+
+        // Velocity of the contact point over the board
+        const slipX = ball.vx + ball.spinY * r;
+        const slipY = ball.vy - ball.spinX * r;
+        const slip = Math.hypot(slipX, slipY);
+
+        if (slip > 0) {
+            // Never more than it takes to stop the slip
+            const impulse = Math.min(ball.mass * surface.slidingFriction * ball.friction * dt,
+                slip / (1 / ball.mass + r * r / inertia));
+            const sx = slipX / slip;
+            const sy = slipY / slip;
+            ball.vx -= impulse * sx / ball.mass;
+            ball.vy -= impulse * sy / ball.mass;
+            ball.spinX += r * impulse * sy / inertia;
+            ball.spinY -= r * impulse * sx / inertia;
+        }
+
+        const rolling = Math.exp(-surface.damping * ball.friction * dt);
+        ball.vx *= rolling;
+        ball.vy *= rolling;
+        ball.spinX *= rolling;
+        ball.spinY *= rolling;
+        ball.spinZ *= Math.exp(-PHYSICS_CONFIG.spinDamping * dt);
+    }
+
+    /**
+     * Get the surface material under a ball
+     * @param {Ball} ball - Ball to check
+     * @returns {Object} Material { damping, slidingFriction, maxVelocity };
+     *     PHYSICS_CONFIG for plain floor
+     * @private
+     */
+    _getSurface(ball) {
+        const cell = this.surfaces.find(s => ball.x >= s.x && ball.x < s.x + s.width
+            && ball.y >= s.y && ball.y < s.y + s.height);
+
+        return cell ? SURFACE_CONFIG.materials[cell.material] : PHYSICS_CONFIG;
     }
 
     /**
-     * Handle collisions with walls
+     * Collide a ball with the far edges of one-way gates
+     * The edge only blocks a ball that was fully past it, so balls roll
+     * through in the gate's direction and can back out of a gate they
+     * have not left yet.
      * @param {Ball} ball - Ball to check
      * @param {number} prevX - Previous X position
      * @param {number} prevY - Previous Y position
      * @private
      */
-    _handleWallCollisions(ball, prevX, prevY) {
-        for (const wall of this.walls) {
-            // Check if ball intersects wall
-            const closestX = Math.max(wall.x, Math.min(ball.x, wall.x + wall.width));
-            const closestY = Math.max(wall.y, Math.min(ball.y, wall.y + wall.height));
+    _handleOneWayGates(ball, prevX, prevY) {
+        for (const tile of this.tiles) {
+            if (tile.type !== CELL_TYPES.ONE_WAY) continue;
+
+            const centerX = tile.x + tile.width / 2;
+            const centerY = tile.y + tile.height / 2;
+            const halfAlong = (tile.dx !== 0 ? tile.width : tile.height) / 2;
+            const halfAcross = (tile.dx !== 0 ? tile.height : tile.width) / 2;
+            const edgeX = centerX + tile.dx * halfAlong;
+            const edgeY = centerY + tile.dy * halfAlong;
+
+            // Distances past the edge, and off the gate's center line
+            const side = (ball.x - edgeX) * tile.dx + (ball.y - edgeY) * tile.dy;
+            const prevSide = (prevX - edgeX) * tile.dx + (prevY - edgeY) * tile.dy;
+            const across = Math.abs((ball.x - centerX) * tile.dy - (ball.y - centerY) * tile.dx);
+
+            if (across > halfAcross || side >= ball.radius || prevSide < ball.radius - 0.5) continue;
+
+            // Push back out and reflect
+            ball.x += tile.dx * (ball.radius - side);
+            ball.y += tile.dy * (ball.radius - side);
+
+            const dot = ball.vx * tile.dx + ball.vy * tile.dy;
+            if (dot < 0) {
+                ball.vx -= (1 + ball.restitution) * dot * tile.dx;
+                ball.vy -= (1 + ball.restitution) * dot * tile.dy;
+            }
+
+            if (this.onWallHit) {
+                this.onWallHit(Math.min(ball.getSpeed() / PHYSICS_CONFIG.hardHitSpeed, 1));
+            }
+        }
+    }
+
+    /**
+     * Move a ball along its displacement for this step, stopping at walls
+     * The ball is swept as a circle along its path. At the earliest wall
+     * contact it stops just short of the wall and bounces, and the rest of
+     * the displacement bounces with it, for up to
+     * PHYSICS_CONFIG.sweepIterations contacts per step.
+     * @param {Ball} ball - Ball to move
+     * @param {number} dx - X displacement in pixels
+     * @param {number} dy - Y displacement in pixels
+     * @private
+     */
+    _moveBall(ball, dx, dy) {
+        for (let i = 0; i < PHYSICS_CONFIG.sweepIterations; i++) {
+            const hit = this._sweepWalls(ball, dx, dy);
+            if (!hit) {
+                ball.x += dx;
+                ball.y += dy;
+                return;
+            }
+
+            // Keep a hundredth of a pixel off the wall
+            const travel = Math.max(0, hit.time - 0.01 / Math.hypot(dx, dy));
+            ball.x += dx * travel;
+            ball.y += dy * travel;
+
+            this._bounce(ball, hit.nx, hit.ny);
+            if (ball.isFalling()) return;
+
+            const rest = 1 - hit.time;
+            dx *= rest;
+            dy *= rest;
+            const dot = dx * hit.nx + dy * hit.ny;
+            if (dot < 0) {
+                dx -= (1 + ball.restitution) * dot * hit.nx;
+                dy -= (1 + ball.restitution) * dot * hit.ny;
+            }
+        }
+    }
+
+    /**
+     * Find the first wall a moving ball touches
+     * @param {Ball} ball - Ball to sweep
+     * @param {number} dx - X displacement in pixels
+     * @param {number} dy - Y displacement in pixels
+     * @returns {Object|null} Contact { time, nx, ny } with time as a share
+     *     of the displacement and the wall normal; null if the path is clear
+     * @private
+     */
+    _sweepWalls(ball, dx, dy) {
+        const nearby = this.wallGrid.query({
+            left: Math.min(ball.x, ball.x + dx) - ball.radius,
+            top: Math.min(ball.y, ball.y + dy) - ball.radius,
+            right: Math.max(ball.x, ball.x + dx) + ball.radius,
+            bottom: Math.max(ball.y, ball.y + dy) + ball.radius
+        });
+
+        let first = null;
+        const sweep = wall => {
+            const hit = this._sweepWall(ball, dx, dy, wall);
+            if (hit && (!first || hit.time < first.time)) first = hit;
+        };
+
+        nearby.forEach(sweep);
+        this.dynamicWalls.filter(wall => wall.enabled).forEach(sweep);
+
+        return first;
+    }
 
-            const distX = ball.x - closestX;
-            const distY = ball.y - closestY;
+    /**
+     * Sweep a moving ball against one wall
+     * A rectangle grown by the ball radius is bounded by capsules around
+     * its four edges; a segment already is a capsule of the wall's radius.
+     * @param {Ball} ball - Ball to sweep
+     * @param {number} dx - X displacement in pixels
+     * @param {number} dy - Y displacement in pixels
+     * @param {Object} wall - Wall rectangle or segment
+     * @returns {Object|null} Contact { time, nx, ny }, or null
+     * @private
+     */
+    _sweepWall(ball, dx, dy, wall) {
+        if (wall.isSegment) {
+            return this._sweepCapsule(ball.x, ball.y, dx, dy, wall, ball.radius + wall.radius);
+        }
+
+        const right = wall.x + wall.width;
+        const bottom = wall.y + wall.height;
+        const edges = [
+            { x1: wall.x, y1: wall.y, x2: right, y2: wall.y },
+            { x1: right, y1: wall.y, x2: right, y2: bottom },
+            { x1: right, y1: bottom, x2: wall.x, y2: bottom },
+            { x1: wall.x, y1: bottom, x2: wall.x, y2: wall.y }
+        ];
+
+        let first = null;
+        for (const edge of edges) {
+            const hit = this._sweepCapsule(ball.x, ball.y, dx, dy, edge, ball.radius);
+            if (hit && (!first || hit.time < first.time)) first = hit;
+        }
+        return first;
+    }
+
+    /**
+     * Find when a moving point first reaches a capsule around a segment
+     * Starting inside the capsule is no contact; overlaps are left to
+     * _handleWallCollisions().
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} dx - X displacement
+     * @param {number} dy - Y displacement
+     * @param {Object} segment - Segment { x1, y1, x2, y2 }
+     * @param {number} radius - Capsule radius
+     * @returns {Object|null} Contact { time, nx, ny } with time from 0 to 1,
+     *     or null if the point does not reach the capsule
+     * @private
+     */
+    _sweepCapsule(x, y, dx, dy, segment, radius) {
+        let first = null;
+        const consider = (time, nx, ny) => {
+            if (time >= 0 && time <= 1 && (!first || time < first.time)) {
+                first = { time, nx, ny };
+            }
+        };
+
+        // Flat sides, facing the start point
+        const ex = segment.x2 - segment.x1;
+        const ey = segment.y2 - segment.y1;
+        const length = Math.hypot(ex, ey);
+        if (length > 0) {
+            const ux = ex / length;
+            const uy = ey / length;
+            let nx = -uy;
+            let ny = ux;
+            let side = (x - segment.x1) * nx + (y - segment.y1) * ny;
+            if (side < 0) {
+                nx = -nx;
+                ny = -ny;
+                side = -side;
+            }
+
+            const approach = dx * nx + dy * ny;
+            if (side >= radius && approach < 0) {
+                const time = (side - radius) / -approach;
+                const along = (x + dx * time - segment.x1) * ux + (y + dy * time - segment.y1) * uy;
+                if (along >= 0 && along <= length) consider(time, nx, ny);
+            }
+        }
+
+        // Round caps
+        const a = dx * dx + dy * dy;
+        for (const [cx, cy] of [[segment.x1, segment.y1], [segment.x2, segment.y2]]) {
+            const fx = x - cx;
+            const fy = y - cy;
+            const b = fx * dx + fy * dy;
+            const c = fx * fx + fy * fy - radius * radius;
+            if (a === 0 || c < 0 || b >= 0) continue;
+
+            const discriminant = b * b - a * c;
+            if (discriminant < 0) continue;
+
+            const time = (-b - Math.sqrt(discriminant)) / a;
+            consider(time, (fx + dx * time) / radius, (fy + dy * time) / radius);
+        }
+
+        return first;
+    }
+
+    /**
+     * Push a ball out of the walls it overlaps
+     * Moving balls are kept out of walls by _moveBall(); this resolves
+     * overlaps from other causes, like gates closing on a ball or balls
+     * pushing each other.
+     * @param {Ball} ball - Ball to check
+     * @private
+     */
+    _handleWallCollisions(ball) {
+        // Walls around the ball, with a ball radius to spare for being
+        // pushed out of one wall towards another
+        const reach = ball.radius * 2;
+        const nearby = this.wallGrid.query({
+            left: ball.x - reach,
+            top: ball.y - reach,
+            right: ball.x + reach,
+            bottom: ball.y + reach
+        });
+
+        for (const wall of nearby) {
+            this._collideWall(ball, wall);
+        }
+
+        for (const wall of this.dynamicWalls) {
+            if (wall.enabled) this._collideWall(ball, wall);
+        }
+    }
+
+    /**
+     * Collide a ball with one wall
+     * @param {Ball} ball - Ball to check
+     * @param {Object} wall - Wall rectangle or segment
+     * @private
+     */
+    _collideWall(ball, wall) {
+        const contact = wall.isSegment
+            ? this._findSegmentContact(ball, wall)
+            : this._findRectContact(ball, wall);
+
+        if (contact) {
+            ball.x += contact.nx * contact.depth;
+            ball.y += contact.ny * contact.depth;
+            this._bounce(ball, contact.nx, contact.ny);
+        }
+    }
+
+    /**
+     * Find how far a ball overlaps a wall rectangle
+     * A ball whose center is inside leaves through the nearest edge.
+     * @param {Ball} ball - Ball to check
+     * @param {Object} wall - Wall rectangle
+     * @returns {Object|null} Contact { nx, ny, depth } with the push-out
+     *     direction and distance, or null if they do not touch
+     * @private
+     */
+    _findRectContact(ball, wall) {
+        const right = wall.x + wall.width;
+        const bottom = wall.y + wall.height;
+
+        if (ball.x > wall.x && ball.x < right && ball.y > wall.y && ball.y < bottom) {
+            const edges = [
+                { nx: -1, ny: 0, depth: ball.x - wall.x },
+                { nx: 1, ny: 0, depth: right - ball.x },
+                { nx: 0, ny: -1, depth: ball.y - wall.y },
+                { nx: 0, ny: 1, depth: bottom - ball.y }
+            ];
+            const nearest = edges.reduce((best, edge) => edge.depth < best.depth ? edge : best);
+            return { ...nearest, depth: nearest.depth + ball.radius };
+        }
+
+        const closestX = Math.max(wall.x, Math.min(ball.x, right));
+        const closestY = Math.max(wall.y, Math.min(ball.y, bottom));
+        const distance = Math.hypot(ball.x - closestX, ball.y - closestY);
+        if (distance >= ball.radius) return null;
+
+        // On the edge itself: straight out of the side it lies on
+        if (distance === 0) {
+            const nx = ball.x === wall.x ? -1 : ball.x === right ? 1 : 0;
+            const ny = nx !== 0 ? 0 : ball.y === wall.y ? -1 : 1;
+            return { nx, ny, depth: ball.radius };
+        }
+
+        return {
+            nx: (ball.x - closestX) / distance,
+            ny: (ball.y - closestY) / distance,
+            depth: ball.radius - distance
+        };
+    }
+
+    /**
+     * Find how far a ball overlaps a thin wall segment (a capsule of the
+     * wall's radius)
+     * A ball centered on the segment leaves against its direction of travel.
+     * @param {Ball} ball - Ball to check
+     * @param {Object} wall - Wall segment
+     * @returns {Object|null} Contact { nx, ny, depth }, or null
+     * @private
+     */
+    _findSegmentContact(ball, wall) {
+        const closest = this._closestOnSegment(wall, ball.x, ball.y);
+        const minDistance = ball.radius + wall.radius;
+        const distance = Math.hypot(ball.x - closest.x, ball.y - closest.y);
+        if (distance >= minDistance) return null;
+
+        if (distance > 0) {
+            return {
+                nx: (ball.x - closest.x) / distance,
+                ny: (ball.y - closest.y) / distance,
+                depth: minDistance - distance
+            };
+        }
+
+        const length = Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1);
+        let nx = length > 0 ? -(wall.y2 - wall.y1) / length : 0;
+        let ny = length > 0 ? (wall.x2 - wall.x1) / length : -1;
+        if (ball.vx * nx + ball.vy * ny > 0) {
+            nx = -nx;
+            ny = -ny;
+        }
+        return { nx, ny, depth: minDistance };
+    }
+
+    /**
+     * Bounce a ball off a wall and report the hit
+     * Only velocity into the wall is reflected, damped by the ball's
+     * restitution. Friction with the wall then trades speed along the
+     * wall for spin about the vertical axis. A fragile ball hitting the
+     * wall faster than its break speed shatters.
+     * @param {Ball} ball - Ball that touched the wall
+     * @param {number} nx - Wall normal X, pointing away from the wall
+     * @param {number} ny - Wall normal Y
+     * @private
+     */
+    _bounce(ball, nx, ny) {
+        const dot = ball.vx * nx + ball.vy * ny;
+        if (dot < 0) {
+            ball.vx -= (1 + ball.restitution) * dot * nx;
+            ball.vy -= (1 + ball.restitution) * dot * ny;
+            this._applyWallFriction(ball, nx, ny, -(1 + ball.restitution) * dot * ball.mass);
+
+            if (ball.breakSpeed > 0 && -dot > ball.breakSpeed) {
+                this._shatter(ball);
+            }
+        }
+
+        if (this.onWallHit) {
+            this.onWallHit(Math.min(ball.getSpeed() / PHYSICS_CONFIG.hardHitSpeed, 1));
+        }
+    }
+
+    /**
+     * Find the closest point on a segment to a point
+     * @param {Object} segment - Segment { x1, y1, x2, y2 }
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @returns {Object} Closest point { x, y }
+     * @private
+     */
+    _closestOnSegment(segment, x, y) {
+        const dx = segment.x2 - segment.x1;
+        const dy = segment.y2 - segment.y1;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0
+            ? Math.max(0, Math.min(1, ((x - segment.x1) * dx + (y - segment.y1) * dy) / lengthSq))
+            : 0;
+
+        return { x: segment.x1 + t * dx, y: segment.y1 + t * dy };
+    }
+
+    /**
+     * Collide a ball with bumpers and kickers
+     * Unlike walls they bounce the ball back harder than it hit them, by
+     * their restitution and at least BUMPER_CONFIG.minKickSpeed.
+     * @param {Ball} ball - Ball to check
+     * @private
+     */
+    _handleBumpers(ball) {
+        for (const bumper of this.objects) {
+            const collider = bumper.collider;
+            if (!collider) continue;
+
+            const closest = collider.isSegment
+                ? this._closestOnSegment(collider, ball.x, ball.y)
+                : { x: collider.x, y: collider.y };
+            const distX = ball.x - closest.x;
+            const distY = ball.y - closest.y;
             const distance = Math.sqrt(distX * distX + distY * distY);
+            const minDistance = ball.radius + collider.radius;
+            if (distance >= minDistance || distance === 0) continue;
+
+            const nx = distX / distance;
+            const ny = distY / distance;
+            ball.x += nx * (minDistance - distance);
+            ball.y += ny * (minDistance - distance);
+
+            const dot = ball.vx * nx + ball.vy * ny;
+            const speed = Math.max(-dot * bumper.restitution, BUMPER_CONFIG.minKickSpeed, dot);
+            ball.vx += nx * (speed - dot);
+            ball.vy += ny * (speed - dot);
+
+            bumper.flash = BUMPER_CONFIG.flashDuration;
+            if (bumper.cooldown > 0) continue;
+
+            bumper.cooldown = BUMPER_CONFIG.hitCooldown;
+            this.score += bumper.score;
+            if (this.onBumperHit) {
+                this.onBumperHit(ball, bumper);
+            }
+        }
+    }
 
-            if (distance < ball.radius) {
-                // Collision detected
-                const overlap = ball.radius - distance;
-
-                if (distance > 0) {
-                    // Push ball out of wall
-                    const nx = distX / distance;
-                    const ny = distY / distance;
-
-                    ball.x += nx * overlap;
-                    ball.y += ny * overlap;
-
-                    // Reflect velocity
-                    const dot = ball.vx * nx + ball.vy * ny;
-                    ball.vx -= 2 * dot * nx * (1 - PHYSICS_CONFIG.bounceFactor);
-                    ball.vy -= 2 * dot * ny * (1 - PHYSICS_CONFIG.bounceFactor);
-                } else {
-                    // Ball center is inside wall, push out based on entry direction
-                    ball.x = prevX;
-                    ball.y = prevY;
-                    ball.vx *= -PHYSICS_CONFIG.bounceFactor;
-                    ball.vy *= -PHYSICS_CONFIG.bounceFactor;
-                }
+    /**
+     * Count down bumper flashes and scoring cooldowns
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    _updateBumpers(dt) {
+        for (const bumper of this.objects) {
+            if (!bumper.collider) continue;
+            bumper.flash = Math.max(0, bumper.flash - dt);
+            bumper.cooldown = Math.max(0, bumper.cooldown - dt);
+        }
+    }
 
-                // Trigger wall hit callback
-                if (this.onWallHit) {
-                    const intensity = Math.min(ball.getSpeed() / 10, 1);
-                    this.onWallHit(intensity);
-                }
+    /**
+     * Apply friction where a ball touches a wall
+     * The contact point slides along the wall with the ball's speed along
+     * it, less its spin about the vertical axis. Friction, at most
+     * PHYSICS_CONFIG.wallFriction times the bounce impulse, works against
+     * that slide on both.
+     * @param {Ball} ball - Ball that touched the wall
+     * @param {number} nx - Wall normal X, pointing away from the wall
+     * @param {number} ny - Wall normal Y
+     * @param {number} normalImpulse - Impulse of the bounce
+     * @private
+     */
+    _applyWallFriction(ball, nx, ny, normalImpulse) {
+        const r = ball.radius;
+        const inertia = ball.getMomentOfInertia();
+        const tx = -ny;
+        const ty = nx;
+
+        const slip = ball.vx * tx + ball.vy * ty - ball.spinZ * r;
+        const limit = PHYSICS_CONFIG.wallFriction * normalImpulse;
+        const impulse = Math.max(-limit, Math.min(limit, -slip / (1 / ball.mass + r * r / inertia)));
+
+        ball.vx += impulse * tx / ball.mass;
+        ball.vy += impulse * ty / ball.mass;
+        ball.spinZ -= r * impulse / inertia;
+    }
+
+    /**
+     * Collide every pair of balls still rolling in the maze
+     * @private
+     */
+    _handleBallCollisions() {
+        const balls = this.balls.filter(ball => ball.active && !ball.exited && !ball.isFalling());
+
+        for (let i = 0; i < balls.length; i++) {
+            for (let j = i + 1; j < balls.length; j++) {
+                this._collideBalls(balls[i], balls[j]);
             }
         }
     }
 
+    /**
+     * Separate two overlapping balls and exchange their momentum
+     * The lighter ball is pushed further apart. Velocities change only
+     * along the line between the centers, by PHYSICS_CONFIG.ballRestitution.
+     * @param {Ball} a - First ball
+     * @param {Ball} b - Second ball
+     * @private
+     */
+    _collideBalls(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const minDistance = a.radius + b.radius;
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq >= minDistance * minDistance) return;
+
+        // Balls on the same spot are split vertically
+        const distance = Math.sqrt(distanceSq);
+        const nx = distance > 0 ? dx / distance : 0;
+        const ny = distance > 0 ? dy / distance : 1;
+
+        const overlap = minDistance - distance;
+        const totalMass = a.mass + b.mass;
+        a.x -= nx * overlap * b.mass / totalMass;
+        a.y -= ny * overlap * b.mass / totalMass;
+        b.x += nx * overlap * a.mass / totalMass;
+        b.y += ny * overlap * a.mass / totalMass;
+
+        // Being pushed must not move a ball into a wall
+        this._handleWallCollisions(a);
+        this._handleWallCollisions(b);
+
+        const approach = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+        if (approach >= 0) return;
+
+        const impulse = -(1 + PHYSICS_CONFIG.ballRestitution) * approach / (1 / a.mass + 1 / b.mass);
+        a.vx -= impulse * nx / a.mass;
+        a.vy -= impulse * ny / a.mass;
+        b.vx += impulse * nx / b.mass;
+        b.vy += impulse * ny / b.mass;
+    }
+
     /**
      * Handle maze boundary collisions
      * @param {Ball} ball - Ball to check
@@ -294,19 +1315,216 @@ class PhysicsEngine {
         // Left boundary
         if (ball.x - ball.radius < 0) {
             ball.x = ball.radius;
-            ball.vx = Math.abs(ball.vx) * PHYSICS_CONFIG.bounceFactor;
+            ball.vx = Math.abs(ball.vx) * ball.restitution;
         }
 
         // Right boundary
         if (ball.x + ball.radius > this.mazeWidth) {
             ball.x = this.mazeWidth - ball.radius;
-            ball.vx = -Math.abs(ball.vx) * PHYSICS_CONFIG.bounceFactor;
+            ball.vx = -Math.abs(ball.vx) * ball.restitution;
         }
 
         // Top boundary
         if (ball.y - ball.radius < 0) {
             ball.y = ball.radius;
-            ball.vy = Math.abs(ball.vy) * PHYSICS_CONFIG.bounceFactor;
+            ball.vy = Math.abs(ball.vy) * ball.restitution;
+        }
+    }
+
+    /**
+     * Start the fall-in when the ball center is over a hole
+     * @param {Ball} ball - Ball to check
+     * @private
+     */
+    _checkHoles(ball) {
+        if (ball.exited) return;
+
+        for (const hole of this.holes) {
+            const dx = ball.x - hole.x;
+            const dy = ball.y - hole.y;
+            if (dx * dx + dy * dy < hole.radius * hole.radius) {
+                ball.fallHole = hole;
+                ball.fallTime = 0;
+                ball.vx = 0;
+                ball.vy = 0;
+                ball.spinX = 0;
+                ball.spinY = 0;
+                ball.spinZ = 0;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Shatter a fragile ball where it is
+     * Plays the fall-in animation on the spot, so the ball respawns for
+     * the hole penalty like one that fell into a hole.
+     * @param {Ball} ball - Ball to shatter
+     * @private
+     */
+    _shatter(ball) {
+        ball.fallHole = { x: ball.x, y: ball.y, radius: ball.radius };
+        ball.fallTime = 0;
+        ball.vx = 0;
+        ball.vy = 0;
+        ball.spinX = 0;
+        ball.spinY = 0;
+        ball.spinZ = 0;
+    }
+
+    /**
+     * Collect keys the ball rolls over and open their doors
+     * @param {Ball} ball - Ball to check
+     * @private
+     */
+    _checkKeys(ball) {
+        if (ball.exited || ball.isFalling()) return;
+
+        for (const key of this.objects) {
+            if (key.type !== MAZE_OBJECT_TYPES.KEY || key.collected) continue;
+
+            const reach = ball.radius + key.radius;
+            const dx = ball.x - key.x;
+            const dy = ball.y - key.y;
+            if (dx * dx + dy * dy >= reach * reach) continue;
+
+            key.collected = true;
+            this.heldKeys.add(key.channel);
+
+            for (const door of this.objects) {
+                if (door.type === MAZE_OBJECT_TYPES.DOOR && door.channel === key.channel) {
+                    door.open = true;
+                    this.setWallEnabled(door.wall, false);
+                }
+            }
+        }
+    }
+
+    /**
+     * Collect gems the ball rolls over and add their value to the score
+     * @param {Ball} ball - Ball to check
+     * @private
+     */
+    _checkGems(ball) {
+        if (ball.exited || ball.isFalling()) return;
+
+        for (const gem of this.objects) {
+            if (gem.type !== MAZE_OBJECT_TYPES.GEM || gem.collected) continue;
+
+            const reach = ball.radius + gem.radius;
+            const dx = ball.x - gem.x;
+            const dy = ball.y - gem.y;
+            if (dx * dx + dy * dy >= reach * reach) continue;
+
+            gem.collected = true;
+            this.score += gem.value;
+
+            if (this.onGemCollect) {
+                this.onGemCollect(ball, gem);
+            }
+        }
+    }
+
+    /**
+     * Send a ball whose center entered a portal out of its partner
+     * The velocity keeps its speed and turns by the entered portal's
+     * rotation. The ball cannot use a portal again for
+     * PORTAL_CONFIG.cooldown seconds, nor the one it came out of until it
+     * has rolled clear of it, so it does not bounce between the two.
+     * @param {Ball} ball - Ball to check
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    _checkPortals(ball, dt) {
+        if (ball.exited || ball.isFalling()) return;
+
+        ball.portalCooldown = Math.max(0, ball.portalCooldown - dt);
+
+        const lock = ball.portalLock;
+        if (lock && Math.hypot(ball.x - lock.x, ball.y - lock.y) >= lock.radius) {
+            ball.portalLock = null;
+        }
+        if (ball.portalCooldown > 0) return;
+
+        for (const portal of this.objects) {
+            if (portal.type !== MAZE_OBJECT_TYPES.PORTAL || portal === ball.portalLock) continue;
+            if (Math.hypot(ball.x - portal.x, ball.y - portal.y) >= portal.radius) continue;
+
+            const partner = this.objects.find(other => other !== portal
+                && other.type === MAZE_OBJECT_TYPES.PORTAL && other.channel === portal.channel);
+            if (!partner) continue;
+
+            // Clockwise on screen, as y points down
+            const angle = portal.rotation * Math.PI / 180;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const vx = ball.vx;
+            ball.vx = vx * cos - ball.vy * sin;
+            ball.vy = vx * sin + ball.vy * cos;
+            const spinX = ball.spinX;
+            ball.spinX = spinX * cos - ball.spinY * sin;
+            ball.spinY = spinX * sin + ball.spinY * cos;
+
+            // Jump, without interpolating the drawn ball across the board
+            ball.x = partner.x;
+            ball.y = partner.y;
+            ball.lastX = partner.x;
+            ball.lastY = partner.y;
+            ball.portalLock = partner;
+            ball.portalCooldown = PORTAL_CONFIG.cooldown;
+            ball.trailBreak = true;
+            return;
+        }
+    }
+
+    /**
+     * Toggle gates when a ball rolls onto their switch
+     * A switch acts once per press; it has to be left before it acts again.
+     * @private
+     */
+    _updateSwitches() {
+        for (const plate of this.objects) {
+            if (plate.type !== MAZE_OBJECT_TYPES.SWITCH) continue;
+
+            const pressed = this.balls.some(ball => ball.active && !ball.exited && !ball.isFalling()
+                && Math.hypot(ball.x - plate.x, ball.y - plate.y) < plate.radius);
+
+            if (pressed && !plate.pressed) {
+                for (const gate of this.objects) {
+                    if (gate.type === MAZE_OBJECT_TYPES.GATE && gate.channel === plate.channel) {
+                        gate.open = !gate.open;
+                        this.setWallEnabled(gate.wall, !gate.open);
+                    }
+                }
+            }
+
+            plate.pressed = pressed;
+        }
+    }
+
+    /**
+     * Play one step of a fall-in: the ball slides into the hole center,
+     * then respawns at its spawn point for a penalty
+     * @param {Ball} ball - Falling ball
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    _updateFall(ball, dt) {
+        const hole = ball.fallHole;
+
+        // A quarter of the way there every 60th of a second
+        const slide = 1 - Math.pow(0.75, dt * 60);
+        ball.x += (hole.x - ball.x) * slide;
+        ball.y += (hole.y - ball.y) * slide;
+        ball.fallTime += dt;
+
+        if (ball.fallTime < HAZARD_CONFIG.fallDuration) return;
+
+        ball.reset(ball.spawnX, ball.spawnY);
+        this.score = Math.max(0, this.score - HAZARD_CONFIG.holePenalty);
+
+        if (this.onBallFall) {
+            this.onBallFall(ball, HAZARD_CONFIG.holePenalty);
         }
     }
 
@@ -318,16 +1536,26 @@ class PhysicsEngine {
     _checkExitZones(ball) {
         if (ball.exited) return;
 
-        // Check if ball has passed maze bottom
-        if (ball.y > this.mazeHeight) {
+        // Circular mazes are left outwards through the outer ring
+        const ring = this.exitZones.length > 0 && this.exitZones[0].isRing ? this.exitZones[0] : null;
+        const distance = ring ? Math.hypot(ball.x - ring.centerX, ball.y - ring.centerY) : 0;
+
+        // Check if ball has passed maze bottom (or the outer ring)
+        if (ring ? distance > ring.innerRadius : ball.y > this.mazeHeight) {
             ball.exited = true;
 
             // Find which exit zone ball is in
             let exitZone = null;
-            for (const zone of this.exitZones) {
-                if (ball.x >= zone.x && ball.x <= zone.x + zone.width) {
-                    exitZone = zone;
-                    break;
+            if (ring) {
+                const turn = 2 * Math.PI;
+                const angle = (Math.atan2(ball.y - ring.centerY, ball.x - ring.centerX) + turn) % turn;
+                exitZone = this.exitZones.find(zone => angle >= zone.startAngle && angle <= zone.endAngle) || null;
+            } else {
+                for (const zone of this.exitZones) {
+                    if (ball.x >= zone.x && ball.x <= zone.x + zone.width) {
+                        exitZone = zone;
+                        break;
+                    }
                 }
             }
 
@@ -382,6 +1610,18 @@ class PhysicsEngine {
         return this.score;
     }
 
+    /**
+     * Count the gems of this level
+     * @returns {Object} { collected, total }
+     */
+    getGemCount() {
+        const gems = this.objects.filter(object => object.type === MAZE_OBJECT_TYPES.GEM);
+        return {
+            collected: gems.filter(gem => gem.collected).length,
+            total: gems.length
+        };
+    }
+
     /**
      * Pause physics
      * @param {boolean} paused - Whether to pause
@@ -414,6 +1654,33 @@ class PhysicsEngine {
         this.onWallHit = callback;
     }
 
+    /**
+     * Set ball fall callback
+     * @param {Function} callback - Called with (ball, penalty) after a
+     *     ball fell into a hole, or shattered, and respawned
+     */
+    setOnBallFall(callback) {
+        this.onBallFall = callback;
+    }
+
+    /**
+     * Set gem collect callback
+     * @param {Function} callback - Called with (ball, gem) after a ball
+     *     picked up a gem and its value was scored
+     */
+    setOnGemCollect(callback) {
+        this.onGemCollect = callback;
+    }
+
+    /**
+     * Set bumper hit callback
+     * @param {Function} callback - Called with (ball, bumper) after a ball
+     *     hit a bumper or kicker and its points were scored
+     */
+    setOnBumperHit(callback) {
+        this.onBumperHit = callback;
+    }
+
     /**
      * Get debug information
      * @returns {Object} Debug data
@@ -436,8 +1703,16 @@ class PhysicsEngine {
         this.balls = [];
         this.score = 0;
         this.paused = false;
+        this.accumulator = 0;
         this.walls = [];
+        this.wallGrid = null;
         this.exitZones = [];
+        this.holes = [];
+        this.dynamicWalls = [];
+        this.objects = [];
+        this.heldKeys = new Set();
+        this.tiles = [];
+        this.surfaces = [];
     }
 }
 
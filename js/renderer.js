@@ -7,9 +7,16 @@
  * 
  * Features:
  * - Traditional maze rendering (path-based, not grid)
+ * - Block walls or thin line walls
  * - Multi-ball rendering with shadows
+ * - Spots on the balls that turn as they roll and spin
  * - Exit zone visualization with scores
+ * - Surface textures for ice, mud and sand
+ * - Floor tiles with arrows scrolling the way they push
+ * - Bumpers and kickers that flash when hit
+ * - Swirling portals in the color of their pair
  * - Clean, minimal visual style
+ * - Camera that follows the ball through mazes larger than the screen
  * 
  * @module renderer
  * ============================================================================
@@ -45,6 +52,12 @@ class Renderer {
         /** @type {Object} Maze dimensions */
         this.mazeDimensions = null;
 
+        /** @type {Object|null} Screen area available to the maze { x, y, width, height } */
+        this.viewport = null;
+
+        /** @type {boolean} Whether the camera should jump to its target next frame */
+        this.snapCamera = true;
+
         /** @type {number} Current frame for animations */
         this.frame = 0;
 
@@ -136,7 +149,7 @@ class Renderer {
         const marginTop = this.mazeDimensions.marginTop || 20;
 
         // Total maze height including exit zones
-        const totalHeight = this.mazeDimensions.height + EXIT_CONFIG.zoneHeight;
+        const totalHeight = this.mazeDimensions.height + this.mazeDimensions.exitZoneHeight;
 
         // Detect orientation
         const isLandscape = this.width > this.height;
@@ -156,6 +169,50 @@ class Renderer {
         // Ensure offsets keep maze on screen
         this.offsetX = Math.max(isLandscape ? marginLeft : 10, this.offsetX);
         this.offsetY = Math.max(isLandscape ? 10 : marginTop, this.offsetY);
+
+        // Area the camera keeps a scrolling maze inside
+        const marginRight = this.mazeDimensions.marginRight || 20;
+        const marginBottom = this.mazeDimensions.marginBottom || 20;
+        this.viewport = {
+            x: marginLeft,
+            y: marginTop,
+            width: Math.max(0, this.width - marginLeft - marginRight),
+            height: Math.max(0, this.height - marginTop - marginBottom)
+        };
+        this.snapCamera = true;
+    }
+
+    /**
+     * Scroll mazes larger than the viewport to follow the active ball
+     * Axes on which the maze fits stay centered.
+     * @param {Ball[]} balls - Array of balls
+     * @private
+     */
+    _updateCamera(balls) {
+        if (!this.viewport || !balls) return;
+
+        const target = balls.find(ball => ball.active && !ball.exited)
+            || balls.find(ball => ball.active);
+        if (!target) return;
+
+        const { width, height } = this.mazeDimensions;
+        const totalHeight = height + this.mazeDimensions.exitZoneHeight;
+        const smoothing = this.snapCamera ? 1 : VISUAL_CONFIG.cameraSmoothing;
+        const view = this.viewport;
+
+        if (width > view.width) {
+            const desired = view.x + view.width / 2 - target.renderX;
+            const clamped = Math.min(view.x, Math.max(view.x + view.width - width, desired));
+            this.offsetX += (clamped - this.offsetX) * smoothing;
+        }
+
+        if (totalHeight > view.height) {
+            const desired = view.y + view.height / 2 - target.renderY;
+            const clamped = Math.min(view.y, Math.max(view.y + view.height - totalHeight, desired));
+            this.offsetY += (clamped - this.offsetY) * smoothing;
+        }
+
+        this.snapCamera = false;
     }
 
     /**
@@ -174,18 +231,32 @@ class Renderer {
     render(gameState) {
         this.clear();
 
-        const { maze, balls, exitZones } = gameState;
+        const { maze, balls, exitZones, objects } = gameState;
 
         if (!maze || !this.mazeDimensions) return;
 
+        this._updateCamera(balls);
+
         this.ctx.save();
         this.ctx.translate(this.offsetX, this.offsetY);
 
         // Draw maze background (path areas)
         this._drawMazeBackground();
 
+        // Draw ice, mud and sand
+        this._drawSurfaces(maze.getSurfaces());
+
+        // Draw holes
+        this._drawHoles(maze.getHoles());
+
+        // Draw one-way gates, boost pads and conveyors
+        this._drawTiles(maze.getTiles());
+
         // Draw walls
-        this._drawWalls(maze.getGrid(), maze.getDimensions());
+        this._drawWalls(maze.getWalls());
+
+        // Draw keys, doors, switches and gates
+        this._drawObjects(objects);
 
         // Draw maze border
         this._drawMazeBorder();
@@ -199,6 +270,92 @@ class Renderer {
         this.ctx.restore();
     }
 
+    /**
+     * Render the level editor view
+     * @param {Object} view - Editor state
+     * @param {Object[]} view.walls - Wall colliders of the edited grid
+     * @param {Object[]} view.holes - Holes of the edited grid
+     * @param {Object[]} view.tiles - Floor tiles of the edited grid
+     * @param {Object[]} view.surfaces - Surface material cells of the edited grid
+     * @param {Object[]} view.objects - Keys, doors, switches and gates
+     * @param {Object|null} view.entry - Entry cell { x, y }
+     * @param {Object[]} view.exitZones - Exit zones of the edited level
+     * @param {number|null} view.selectedExit - Column of the selected exit
+     * @param {Object|null} view.hoverCell - Cell under the pointer { x, y }
+     */
+    renderEditor(view) {
+        this.clear();
+
+        if (!this.mazeDimensions) return;
+
+        this.ctx.save();
+        this.ctx.translate(this.offsetX, this.offsetY);
+
+        this._drawMazeBackground();
+        this._drawSurfaces(view.surfaces);
+        this._drawHoles(view.holes);
+        this._drawTiles(view.tiles);
+        this._drawWalls(view.walls);
+        this._drawObjects(view.objects);
+        this._drawEditorOverlay(view);
+        this._drawMazeBorder();
+        this._drawExitZones(view.exitZones);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw editor grid lines, entry/exit markers and the hovered cell
+     * @param {Object} view - Editor state (see renderEditor)
+     * @private
+     */
+    _drawEditorOverlay(view) {
+        const { cellSize, cols, rows, width, height } = this.mazeDimensions;
+        const ctx = this.ctx;
+
+        // Grid lines
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = 1; x < cols; x++) {
+            ctx.moveTo(x * cellSize, 0);
+            ctx.lineTo(x * cellSize, height);
+        }
+        for (let y = 1; y < rows; y++) {
+            ctx.moveTo(0, y * cellSize);
+            ctx.lineTo(width, y * cellSize);
+        }
+        ctx.stroke();
+
+        // Entry
+        if (view.entry) {
+            ctx.fillStyle = '#22c55e';
+            ctx.fillRect(view.entry.x * cellSize, view.entry.y * cellSize, cellSize, cellSize);
+        }
+
+        // Exits in their score color, selected one outlined
+        for (const zone of view.exitZones) {
+            const x = zone.column * cellSize;
+            const y = (rows - 1) * cellSize;
+
+            ctx.fillStyle = zone.color;
+            ctx.fillRect(x, y, cellSize, cellSize);
+
+            if (zone.column === view.selectedExit) {
+                ctx.strokeStyle = '#8b0000';
+                ctx.lineWidth = 3;
+                ctx.strokeRect(x + 1.5, y + 1.5, cellSize - 3, cellSize - 3);
+            }
+        }
+
+        // Hovered cell
+        if (view.hoverCell) {
+            ctx.strokeStyle = '#3b82f6';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(view.hoverCell.x * cellSize, view.hoverCell.y * cellSize, cellSize, cellSize);
+        }
+    }
+
     /**
      * Draw maze background
      * @private
@@ -214,30 +371,454 @@ class Renderer {
     }
 
     /**
-     * Draw maze walls cell by cell
-     * @param {number[][]} grid - Maze grid
-     * @param {Object} dimensions - Maze dimensions
+     * Draw surface material cells with a texture per material
+     * Ice gets glossy streaks, mud dark blotches and sand grains; texture
+     * positions come from the cell coordinates, so they hold still.
+     * @param {Object[]} surfaces - Cells from MazeGenerator.getSurfaces()
      * @private
      */
-    _drawWalls(grid, dimensions) {
-        if (!grid || !dimensions) return;
+    _drawSurfaces(surfaces) {
+        if (!surfaces) return;
+
+        const ctx = this.ctx;
+
+        for (const cell of surfaces) {
+            const material = SURFACE_CONFIG.materials[cell.material];
+            ctx.fillStyle = material.color;
+            ctx.fillRect(cell.x, cell.y, cell.width, cell.height);
+
+            // Cheap per-cell hash for stable texture positions
+            const hash = (i) => {
+                const n = Math.sin(cell.cellX * 12.9898 + cell.cellY * 78.233 + i * 37.719) * 43758.5453;
+                return n - Math.floor(n);
+            };
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(cell.x, cell.y, cell.width, cell.height);
+            ctx.clip();
+
+            switch (cell.material) {
+                case 'ice':
+                    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                    ctx.lineWidth = 1.5;
+                    ctx.beginPath();
+                    for (let i = 0; i < 2; i++) {
+                        const x = cell.x + hash(i) * cell.width;
+                        const y = cell.y + hash(i + 2) * cell.height;
+                        ctx.moveTo(x, y);
+                        ctx.lineTo(x + cell.width * 0.3, y - cell.height * 0.3);
+                    }
+                    ctx.stroke();
+                    break;
+
+                case 'mud':
+                    ctx.fillStyle = this._darkenColor(material.color, 20);
+                    for (let i = 0; i < 3; i++) {
+                        ctx.beginPath();
+                        ctx.ellipse(
+                            cell.x + hash(i) * cell.width,
+                            cell.y + hash(i + 3) * cell.height,
+                            cell.width * 0.15,
+                            cell.height * 0.1,
+                            0, 0, Math.PI * 2
+                        );
+                        ctx.fill();
+                    }
+                    break;
+
+                case 'sand':
+                    ctx.fillStyle = this._darkenColor(material.color, 25);
+                    for (let i = 0; i < 6; i++) {
+                        ctx.fillRect(cell.x + hash(i) * cell.width, cell.y + hash(i + 6) * cell.height, 1.5, 1.5);
+                    }
+                    break;
+            }
 
-        const { cellSize, cols, rows } = dimensions;
+            ctx.restore();
+        }
+    }
 
-        this.ctx.fillStyle = this.colors.wall;
+    /**
+     * Draw holes as shaded pits, darker towards the bottom
+     * @param {Object[]} holes - Holes { x, y, radius }
+     * @private
+     */
+    _drawHoles(holes) {
+        if (!holes) return;
+
+        for (const hole of holes) {
+            // Light falls in from the top left, so the far rim is lit
+            const depth = this.ctx.createRadialGradient(
+                hole.x - hole.radius * 0.25,
+                hole.y - hole.radius * 0.25,
+                0,
+                hole.x,
+                hole.y,
+                hole.radius
+            );
+            depth.addColorStop(0, '#0a0a0a');
+            depth.addColorStop(0.7, '#2a2520');
+            depth.addColorStop(1, '#6b5d4f');
+
+            this.ctx.fillStyle = depth;
+            this.ctx.beginPath();
+            this.ctx.arc(hole.x, hole.y, hole.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            // Rim
+            this.ctx.strokeStyle = this.colors.wall;
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+        }
+    }
 
-        for (let y = 0; y < rows; y++) {
-            for (let x = 0; x < cols; x++) {
-                if (grid[y][x] === CELL_TYPES.WALL) {
-                    this.ctx.fillRect(
-                        x * cellSize,
-                        y * cellSize,
-                        cellSize,
-                        cellSize
-                    );
+    /**
+     * Draw floor tiles with chevrons scrolling the way they push
+     * Boost pad arrows run twice as fast; one-way gates also mark the far
+     * edge the ball cannot roll back over.
+     * @param {Object[]} tiles - Tiles from MazeGenerator.getTiles()
+     * @private
+     */
+    _drawTiles(tiles) {
+        if (!tiles) return;
+
+        const ctx = this.ctx;
+        const colors = TILE_CONFIG.colors;
+        const phase = this.frame / 60 * TILE_CONFIG.arrowSpeed;
+
+        for (const tile of tiles) {
+            const color = tile.type === CELL_TYPES.ONE_WAY ? colors.oneWay
+                : tile.type === CELL_TYPES.BOOST ? colors.boost : colors.conveyor;
+            const along = tile.dx !== 0 ? tile.width : tile.height;
+            const across = tile.dx !== 0 ? tile.height : tile.width;
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(tile.x, tile.y, tile.width, tile.height);
+            ctx.clip();
+
+            ctx.globalAlpha = 0.25;
+            ctx.fillStyle = color;
+            ctx.fillRect(tile.x, tile.y, tile.width, tile.height);
+            ctx.globalAlpha = 1;
+
+            // Work along +x, rotated to the tile's direction
+            ctx.translate(tile.x + tile.width / 2, tile.y + tile.height / 2);
+            ctx.rotate(Math.atan2(tile.dy, tile.dx));
+
+            const spacing = along / 2;
+            const size = across * 0.25;
+            const speed = tile.type === CELL_TYPES.BOOST ? 2 : 1;
+            const offset = (phase * speed % 1) * spacing;
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = Math.max(2, size * 0.4);
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            for (let i = -1; i <= 2; i++) {
+                const x = -along / 2 + offset + i * spacing;
+                ctx.moveTo(x - size / 2, -size);
+                ctx.lineTo(x + size / 2, 0);
+                ctx.lineTo(x - size / 2, size);
+            }
+            ctx.stroke();
+
+            if (tile.type === CELL_TYPES.ONE_WAY) {
+                const edge = Math.max(2, along * 0.08);
+                ctx.fillStyle = color;
+                ctx.fillRect(along / 2 - edge, -across / 2, edge, across);
+            }
+
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Draw maze objects
+     * Collected keys and gems disappear; open doors and gates leave a faint
+     * outline.
+     * @param {Object[]} objects - Objects from MazeGenerator or PhysicsEngine
+     * @private
+     */
+    _drawObjects(objects) {
+        if (!objects) return;
+
+        const ctx = this.ctx;
+
+        for (const object of objects) {
+            switch (object.type) {
+                case MAZE_OBJECT_TYPES.KEY:
+                    if (!object.collected) this._drawKey(object);
+                    break;
+
+                case MAZE_OBJECT_TYPES.SWITCH: {
+                    const size = object.radius * 1.6;
+                    ctx.fillStyle = object.pressed ? this._darkenColor(object.color, 25) : object.color;
+                    ctx.fillRect(object.x - size / 2, object.y - size / 2, size, size);
+                    ctx.strokeStyle = this.colors.wall;
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(object.x - size / 2, object.y - size / 2, size, size);
+                    break;
                 }
+
+                case MAZE_OBJECT_TYPES.DOOR:
+                case MAZE_OBJECT_TYPES.GATE:
+                    this._drawBarrier(object);
+                    break;
+
+                case MAZE_OBJECT_TYPES.GEM:
+                    if (!object.collected) this._drawGem(object);
+                    break;
+
+                case MAZE_OBJECT_TYPES.BUMPER:
+                case MAZE_OBJECT_TYPES.KICKER:
+                    this._drawBumper(object);
+                    break;
+
+                case MAZE_OBJECT_TYPES.PORTAL:
+                    this._drawPortal(object);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Draw a key: a ring with a toothed shaft
+     * @param {Object} key - Key object
+     * @private
+     */
+    _drawKey(key) {
+        const ctx = this.ctx;
+        const r = key.radius;
+
+        ctx.strokeStyle = key.color;
+        ctx.lineWidth = Math.max(2, r * 0.3);
+        ctx.lineCap = 'round';
+
+        ctx.beginPath();
+        ctx.arc(key.x - r * 0.5, key.y, r * 0.4, 0, Math.PI * 2);
+        ctx.moveTo(key.x - r * 0.1, key.y);
+        ctx.lineTo(key.x + r, key.y);
+        ctx.moveTo(key.x + r * 0.6, key.y);
+        ctx.lineTo(key.x + r * 0.6, key.y + r * 0.4);
+        ctx.moveTo(key.x + r, key.y);
+        ctx.lineTo(key.x + r, key.y + r * 0.4);
+        ctx.stroke();
+
+        ctx.lineCap = 'butt';
+    }
+
+    /**
+     * Draw a gem: a faceted diamond with a pulsing glint
+     * @param {Object} gem - Gem object
+     * @private
+     */
+    _drawGem(gem) {
+        const ctx = this.ctx;
+        const r = gem.radius;
+        const glint = 0.5 + 0.5 * Math.sin(this.frame * 0.1 + gem.x * 0.05);
+
+        // Crown above the girdle, pavilion below
+        ctx.fillStyle = gem.color;
+        ctx.beginPath();
+        ctx.moveTo(gem.x - r, gem.y - r * 0.2);
+        ctx.lineTo(gem.x - r * 0.5, gem.y - r * 0.7);
+        ctx.lineTo(gem.x + r * 0.5, gem.y - r * 0.7);
+        ctx.lineTo(gem.x + r, gem.y - r * 0.2);
+        ctx.lineTo(gem.x, gem.y + r);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.strokeStyle = this._darkenColor(gem.color, 30);
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(gem.x - r, gem.y - r * 0.2);
+        ctx.lineTo(gem.x + r, gem.y - r * 0.2);
+        ctx.stroke();
+
+        ctx.fillStyle = `rgba(255, 255, 255, ${0.3 + glint * 0.5})`;
+        ctx.beginPath();
+        ctx.arc(gem.x - r * 0.35, gem.y - r * 0.4, r * 0.15, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Draw a bumper (a ringed disc) or kicker (a thick bar)
+     * A hit flashes it and, for bumpers, sends a ring outwards.
+     * @param {Object} bumper - Bumper or kicker object
+     * @private
+     */
+    _drawBumper(bumper) {
+        const ctx = this.ctx;
+        const collider = bumper.collider;
+        const flash = bumper.flash > 0 ? bumper.flash / BUMPER_CONFIG.flashDuration : 0;
+        const color = flash > 0.5 ? BUMPER_CONFIG.flashColor : bumper.color;
+
+        if (collider.isSegment) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = collider.radius * 2;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(collider.x1, collider.y1);
+            ctx.lineTo(collider.x2, collider.y2);
+            ctx.stroke();
+            ctx.lineCap = 'butt';
+            return;
+        }
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(collider.x, collider.y, collider.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = this._lightenColor(bumper.color, 40);
+        ctx.beginPath();
+        ctx.arc(collider.x, collider.y, collider.radius * 0.45, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (flash > 0) {
+            ctx.strokeStyle = BUMPER_CONFIG.flashColor;
+            ctx.globalAlpha = flash;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(collider.x, collider.y, collider.radius * (1.5 - flash * 0.5), 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
+    }
+
+    /**
+     * Draw a portal: a dark well with arms swirling around it
+     * @param {Object} portal - Portal object
+     * @private
+     */
+    _drawPortal(portal) {
+        const ctx = this.ctx;
+        const r = portal.radius * 1.3;
+        const spin = this.frame * 0.08;
+
+        ctx.fillStyle = this._darkenColor(portal.color, 45);
+        ctx.beginPath();
+        ctx.arc(portal.x, portal.y, r, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = portal.color;
+        ctx.lineCap = 'round';
+        for (let arm = 0; arm < 3; arm++) {
+            const start = spin + arm * Math.PI * 2 / 3;
+            ctx.lineWidth = Math.max(1.5, r * 0.2);
+            ctx.beginPath();
+            ctx.arc(portal.x, portal.y, r * 0.85, start, start + Math.PI * 0.45);
+            ctx.stroke();
+
+            ctx.lineWidth = Math.max(1, r * 0.12);
+            ctx.beginPath();
+            ctx.arc(portal.x, portal.y, r * 0.45, start + Math.PI * 0.3, start + Math.PI * 0.7);
+            ctx.stroke();
+        }
+        ctx.lineCap = 'butt';
+    }
+
+    /**
+     * Draw a door or gate over its wall collider
+     * Doors are solid with a keyhole, gates striped; open ones are faint.
+     * @param {Object} barrier - Door or gate object
+     * @private
+     */
+    _drawBarrier(barrier) {
+        const ctx = this.ctx;
+        const wall = barrier.wall;
+
+        ctx.save();
+        ctx.globalAlpha = barrier.open ? 0.25 : 1;
+        ctx.strokeStyle = barrier.color;
+        ctx.fillStyle = barrier.color;
+
+        if (wall.isSegment) {
+            ctx.lineWidth = wall.radius * 2;
+            ctx.lineCap = 'round';
+            if (barrier.type === MAZE_OBJECT_TYPES.GATE) ctx.setLineDash([wall.radius * 2, wall.radius * 1.5]);
+            ctx.beginPath();
+            ctx.moveTo(wall.x1, wall.y1);
+            ctx.lineTo(wall.x2, wall.y2);
+            ctx.stroke();
+        } else if (barrier.type === MAZE_OBJECT_TYPES.GATE) {
+            // Bars across the cell
+            const bars = 3;
+            ctx.lineWidth = Math.max(2, Math.min(wall.width, wall.height) / 8);
+            ctx.beginPath();
+            for (let i = 0; i < bars; i++) {
+                const bx = wall.x + wall.width * (i + 0.5) / bars;
+                ctx.moveTo(bx, wall.y);
+                ctx.lineTo(bx, wall.y + wall.height);
+            }
+            ctx.stroke();
+            ctx.strokeRect(wall.x, wall.y, wall.width, wall.height);
+        } else {
+            ctx.fillRect(wall.x, wall.y, wall.width, wall.height);
+        }
+
+        // Keyhole on closed doors
+        if (barrier.type === MAZE_OBJECT_TYPES.DOOR && !barrier.open) {
+            ctx.fillStyle = this.colors.wall;
+            ctx.beginPath();
+            ctx.arc(barrier.x, barrier.y, Math.max(1.5, barrier.radius * 0.25), 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw maze walls: rectangles filled, thin segments as round-capped lines
+     * Only walls inside the visible screen area are drawn.
+     * @param {Object[]} walls - Wall colliders (see MazeGenerator.getWalls)
+     * @private
+     */
+    _drawWalls(walls) {
+        if (!walls) return;
+
+        // Visible area (context is translated by the camera offset)
+        const left = -this.offsetX;
+        const top = -this.offsetY;
+        const right = left + this.width;
+        const bottom = top + this.height;
+
+        this.ctx.fillStyle = this.colors.wall;
+        this.ctx.strokeStyle = this.colors.wall;
+        this.ctx.lineCap = 'round';
+
+        let lineWidth = 0;
+        this.ctx.beginPath();
+
+        for (const wall of walls) {
+            if (!wall.isSegment) {
+                if (wall.x + wall.width < left || wall.x > right
+                    || wall.y + wall.height < top || wall.y > bottom) continue;
+
+                this.ctx.fillRect(wall.x, wall.y, wall.width, wall.height);
+                continue;
+            }
+
+            if (Math.max(wall.x1, wall.x2) + wall.radius < left || Math.min(wall.x1, wall.x2) - wall.radius > right
+                || Math.max(wall.y1, wall.y2) + wall.radius < top || Math.min(wall.y1, wall.y2) - wall.radius > bottom) {
+                continue;
             }
+
+            lineWidth = wall.radius * 2;
+            this.ctx.moveTo(wall.x1, wall.y1);
+            this.ctx.lineTo(wall.x2, wall.y2);
+        }
+
+        // All segments of a maze share one thickness
+        if (lineWidth > 0) {
+            this.ctx.lineWidth = lineWidth;
+            this.ctx.stroke();
         }
+        this.ctx.lineCap = 'butt';
     }
 
     /**
@@ -245,7 +826,8 @@ class Renderer {
      * @private
      */
     _drawMazeBorder() {
-        if (!this.mazeDimensions) return;
+        // Hex and circular mazes are bounded by their own walls
+        if (!this.mazeDimensions || this.mazeDimensions.topology !== 'grid') return;
 
         const { width, height } = this.mazeDimensions;
 
@@ -262,6 +844,11 @@ class Renderer {
     _drawExitZones(exitZones) {
         if (!exitZones || !this.mazeDimensions) return;
 
+        if (exitZones.length > 0 && exitZones[0].isRing) {
+            this._drawRingExitZones(exitZones);
+            return;
+        }
+
         const { height } = this.mazeDimensions;
 
         for (const zone of exitZones) {
@@ -308,6 +895,42 @@ class Renderer {
         }
     }
 
+    /**
+     * Draw exit zones of a circular maze as sectors of a ring
+     * @param {Object[]} exitZones - Ring exit zones (see MazeGenerator)
+     * @private
+     */
+    _drawRingExitZones(exitZones) {
+        this.ctx.strokeStyle = this.colors.wall;
+        this.ctx.lineWidth = 2;
+
+        for (const zone of exitZones) {
+            const { centerX, centerY, innerRadius, outerRadius, startAngle, endAngle } = zone;
+
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, outerRadius, startAngle, endAngle);
+            this.ctx.arc(centerX, centerY, innerRadius, endAngle, startAngle, true);
+            this.ctx.closePath();
+
+            this.ctx.fillStyle = '#f5f0e6';
+            this.ctx.fill();
+            this.ctx.stroke();
+
+            // Score label in the middle of the sector
+            const angle = (startAngle + endAngle) / 2;
+            const radius = (innerRadius + outerRadius) / 2;
+            this.ctx.fillStyle = '#8b0000';
+            this.ctx.font = 'bold 18px Rajdhani, sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(
+                zone.label,
+                centerX + radius * Math.cos(angle),
+                centerY + radius * Math.sin(angle)
+            );
+        }
+    }
+
     /**
      * Draw all balls
      * @param {Ball[]} balls - Array of balls
@@ -319,23 +942,31 @@ class Renderer {
         for (const ball of balls) {
             if (!ball.active && !ball.exited) continue;
 
+            // Position between the last two physics steps
+            const x = ball.renderX;
+            const y = ball.renderY;
+
+            // Falling balls shrink into their hole
+            const fall = ball.getFallProgress();
+            const radius = ball.radius * (1 - fall * 0.8);
+
             // Draw ball trail
-            this._drawBallTrail(ball);
+            if (fall === 0) this._drawBallTrail(ball);
 
             // Draw ball shadow
             this.ctx.fillStyle = this.colors.ballShadow;
             this.ctx.beginPath();
-            this.ctx.arc(ball.x + 2, ball.y + 2, ball.radius, 0, Math.PI * 2);
+            this.ctx.arc(x + 2, y + 2, radius, 0, Math.PI * 2);
             this.ctx.fill();
 
             // Draw ball with gradient
             const gradient = this.ctx.createRadialGradient(
-                ball.x - ball.radius * 0.3,
-                ball.y - ball.radius * 0.3,
+                x - radius * 0.3,
+                y - radius * 0.3,
                 0,
-                ball.x,
-                ball.y,
-                ball.radius
+                x,
+                y,
+                radius
             );
 
             const color = ball.getColor();
@@ -345,7 +976,7 @@ class Renderer {
 
             this.ctx.fillStyle = gradient;
             this.ctx.beginPath();
-            this.ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
             this.ctx.fill();
 
             // Ball outline
@@ -353,30 +984,78 @@ class Renderer {
             this.ctx.lineWidth = 1;
             this.ctx.stroke();
 
+            this._drawBallSpots(ball, x, y, radius, color);
+
             // Highlight
             this.ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
             this.ctx.beginPath();
             this.ctx.arc(
-                ball.x - ball.radius * 0.3,
-                ball.y - ball.radius * 0.3,
-                ball.radius * 0.25,
+                x - radius * 0.3,
+                y - radius * 0.3,
+                radius * 0.25,
                 0,
                 Math.PI * 2
             );
             this.ctx.fill();
 
+            // Shade the ball as it sinks into the hole
+            if (fall > 0) {
+                this.ctx.fillStyle = `rgba(0, 0, 0, ${fall * 0.7})`;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+
             // Score popup when exited
             if (ball.exited && ball.score > 0) {
                 this.ctx.fillStyle = '#333';
                 this.ctx.font = 'bold 14px Rajdhani, sans-serif';
                 this.ctx.textAlign = 'center';
-                this.ctx.fillText(`+${ball.score}`, ball.x, ball.y - ball.radius - 8);
+                this.ctx.fillText(`+${ball.score}`, x, y - radius - 8);
             }
         }
     }
 
+    /**
+     * Draw the spots on the visible half of a ball
+     * Spots are squashed and faded towards the rim, so the ball reads as
+     * a sphere turning under the light.
+     * @param {Ball} ball - Ball with spots
+     * @param {number} x - Drawn center X
+     * @param {number} y - Drawn center Y
+     * @param {number} radius - Drawn radius
+     * @param {string} color - Ball color
+     * @private
+     */
+    _drawBallSpots(ball, x, y, radius, color) {
+        const size = radius * 0.22;
+        this.ctx.fillStyle = this._darkenColor(color, 35);
+
+        for (const spot of ball.spots) {
+            // Only the half facing the viewer (away from the board)
+            if (spot.z >= 0) continue;
+
+            const facing = -spot.z;
+            this.ctx.globalAlpha = Math.min(1, facing * 3);
+            this.ctx.beginPath();
+            this.ctx.ellipse(
+                x + spot.x * (radius - size * facing),
+                y + spot.y * (radius - size * facing),
+                size * facing,
+                size,
+                Math.atan2(spot.y, spot.x),
+                0,
+                Math.PI * 2
+            );
+            this.ctx.fill();
+        }
+
+        this.ctx.globalAlpha = 1;
+    }
+
     /**
      * Draw ball trail
+     * The trail ends at a portal jump rather than spanning the board.
      * @param {Ball} ball - Ball with trail
      * @private
      */
@@ -386,6 +1065,9 @@ class Renderer {
         const color = ball.getColor();
 
         for (let i = 1; i < ball.trail.length; i++) {
+            // Points older than a portal jump lie at the other portal
+            if (ball.trail[i - 1].jump) break;
+
             const pos = ball.trail[i];
             const opacity = 0.4 * (1 - i / ball.trail.length);
             const radius = ball.radius * (1 - i / ball.trail.length * 0.6);